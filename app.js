@@ -9,9 +9,17 @@
 
 const appState = {
   lastCalculatedName: '',
+  lastMotherName: '',
   lastAbjadValue: 0,
   lastCalculationResult: null,
-  isLoading: false
+  lastAbjadResult: null,
+  lastPartMatches: [],
+  lastWordMatches: [],
+  activeMode: 'kabir',
+  keptWords: new Set(),
+  collapsedWords: new Set(),
+  isLoading: false,
+  dataReady: false
 };
 
 // ========================================
@@ -19,31 +27,133 @@ const appState = {
 // ========================================
 
 const nameInput = document.getElementById('nameInput');
+const motherModeCheckbox = document.getElementById('motherModeCheckbox');
+const motherNameField = document.getElementById('motherNameField');
+const motherNameInput = document.getElementById('motherNameInput');
 const calculateBtn = document.getElementById('calculateBtn');
 const clearBtn = document.getElementById('clearBtn');
+const abjadSystemSelect = document.getElementById('abjadSystemSelect');
+const normalizationSelect = document.getElementById('normalizationSelect');
+const shaddaSelect = document.getElementById('shaddaSelect');
+const matchDepthSelect = document.getElementById('matchDepthSelect');
+const toleranceInput = document.getElementById('toleranceInput');
+const sortSelect = document.getElementById('sortSelect');
+const stripHonorificsCheckbox = document.getElementById('stripHonorificsCheckbox');
+const matchWordsCheckbox = document.getElementById('matchWordsCheckbox');
 const errorMessage = document.getElementById('errorMessage');
+const transliterationPanel = document.getElementById('transliterationPanel');
+const transliterationList = document.getElementById('transliterationList');
 const resultSection = document.getElementById('resultSection');
 const emptyState = document.getElementById('emptyState');
 const loadingIndicator = document.getElementById('loadingIndicator');
+const loadingProgress = document.getElementById('loadingProgress');
+const loadingStatus = document.getElementById('loadingStatus');
+const cancelSearchBtn = document.getElementById('cancelSearchBtn');
 
 // Result elements
 const originalNameSpan = document.getElementById('originalName');
 const cleanedNameSpan = document.getElementById('cleanedName');
+const motherNameSpan = document.getElementById('motherName');
+const cleanedMotherNameSpan = document.getElementById('cleanedMotherName');
+const motherSummaryItems = document.querySelectorAll('.mother-summary');
+const excludedWordsHint = document.getElementById('excludedWordsHint');
+const abjadSystemSpan = document.getElementById('abjadSystemName');
+const normalizationProfileSpan = document.getElementById('normalizationProfileName');
+const calcWarningsList = document.getElementById('calcWarnings');
 const breakdownTableBody = document.getElementById('breakdownTableBody');
+const modeTabs = document.getElementById('modeTabs');
+const modeTotalLabel = document.getElementById('modeTotalLabel');
+const modeTotalValue = document.getElementById('modeTotalValue');
 const totalValueSpan = document.getElementById('totalValue');
+const partTotals = document.getElementById('partTotals');
 const matchResultDiv = document.getElementById('matchResult');
+const partMatchesDiv = document.getElementById('partMatches');
+const wordMatchesDiv = document.getElementById('wordMatches');
+const exportPngBtn = document.getElementById('exportPngBtn');
+const exportPdfBtn = document.getElementById('exportPdfBtn');
+const copyLinkBtn = document.getElementById('copyLinkBtn');
+const shareBtn = document.getElementById('shareBtn');
+const shareStatus = document.getElementById('shareStatus');
 
 // ========================================
 // EVENT LISTENERS
 // ========================================
 
-calculateBtn.addEventListener('click', handleCalculate);
-clearBtn.addEventListener('click', handleClear);
-nameInput.addEventListener('keypress', (e) => {
-  if (e.key === 'Enter') {
+calculateBtn.addEventListener('click', () => handleCalculate());
+clearBtn.addEventListener('click', () => handleClear());
+for (const input of [nameInput, motherNameInput]) {
+  input.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleCalculate();
+    }
+  });
+  // Typing a new name abandons a search still running for the old one
+  input.addEventListener('input', handleCancelSearch);
+}
+cancelSearchBtn.addEventListener('click', handleCancelSearch);
+motherModeCheckbox.addEventListener('change', () => {
+  updateMotherField();
+  if (motherModeCheckbox.checked) {
+    motherNameInput.focus();
+  } else if (appState.lastCalculatedName) {
+    handleCalculate();
+  }
+});
+for (const span of [cleanedNameSpan, cleanedMotherNameSpan]) {
+  span.addEventListener('click', (e) => {
+    // Per-word override: toggle whether a title/caste counts for this name
+    const word = e.target.closest('.honorific-word');
+    if (!word) return;
+    if (appState.keptWords.has(word.dataset.word)) {
+      appState.keptWords.delete(word.dataset.word);
+    } else {
+      appState.keptWords.add(word.dataset.word);
+    }
     handleCalculate();
+  });
+}
+modeTabs.addEventListener('click', (e) => {
+  const tab = e.target.closest('.mode-tab');
+  if (!tab) return;
+  appState.activeMode = tab.dataset.mode;
+  if (appState.lastAbjadResult) {
+    renderBreakdown(appState.lastAbjadResult);
+  }
+});
+breakdownTableBody.addEventListener('click', (e) => {
+  // Collapse or expand the letters of one word
+  const toggle = e.target.closest('.word-toggle');
+  if (!toggle) return;
+  const key = toggle.dataset.word;
+  if (appState.collapsedWords.has(key)) {
+    appState.collapsedWords.delete(key);
+  } else {
+    appState.collapsedWords.add(key);
+  }
+  renderBreakdown(appState.lastAbjadResult);
+});
+matchResultDiv.addEventListener('click', (e) => {
+  if (e.target.closest('.load-more-btn')) {
+    handleLoadMore();
   }
 });
+exportPngBtn.addEventListener('click', () => handleExportCard('png'));
+exportPdfBtn.addEventListener('click', () => handleExportCard('pdf'));
+copyLinkBtn.addEventListener('click', handleCopyLink);
+shareBtn.addEventListener('click', handleShare);
+window.addEventListener('popstate', restoreFromPermalink);
+document.addEventListener('uilanguagechange', handleLanguageChange);
+for (const select of [abjadSystemSelect, normalizationSelect, shaddaSelect, matchDepthSelect, toleranceInput, sortSelect, stripHonorificsCheckbox, matchWordsCheckbox]) {
+  select.addEventListener('change', () => {
+    // Re-run the last calculation so the result card never shows stale options
+    if (appState.lastCalculatedName) {
+      handleCalculate();
+    }
+  });
+}
+
+// i18n.js has already applied the saved language; name the options to match
+localizeOptionLabels();
 
 // ========================================
 // MAIN HANDLERS
@@ -51,63 +161,398 @@ nameInput.addEventListener('keypress', (e) => {
 
 /**
  * Handle calculate button click
+ * @param {Object} options - { restoring: true when replaying a permalink, so
+ *   its word overrides are kept and no new history entry is added;
+ *   keepOverrides: keep word overrides set before the call }
  */
-async function handleCalculate() {
+async function handleCalculate(options = {}) {
+  const { restoring = false, keepOverrides = restoring } = options;
   const name = nameInput.value.trim();
 
+  if (!appState.dataReady) {
+    // A failed load has already put its reason in the error box
+    if (!window.ism_e_azam_calculator_p.getDataLoader().error) {
+      showError(t('error.notReady'));
+    }
+    return;
+  }
+
   if (!name) {
-    showError('Please enter a name');
+    showError(t('error.enterName'));
+    return;
+  }
+
+  const motherName = getMotherName();
+  if (motherModeCheckbox.checked && !motherName) {
+    showError(t('error.enterMother'));
     return;
   }
 
+  // Word overrides only apply to the names they were made for
+  const nameChanged = name !== appState.lastCalculatedName || motherName !== appState.lastMotherName;
+  if (nameChanged && !keepOverrides) {
+    appState.keptWords.clear();
+  }
+  if (nameChanged) {
+    appState.collapsedWords.clear();
+  }
+
   clearError();
+  hideTransliteration();
+
+  // Roman Urdu input: let the user pick a spelling before calculating
+  const { Transliterator } = window.ism_e_azam_calculator_p;
+  if (Transliterator.isLatin(name)) {
+    showTransliteration(name, nameInput);
+    return;
+  }
+  if (motherName && Transliterator.isLatin(motherName)) {
+    showTransliteration(motherName, motherNameInput);
+    return;
+  }
+
   setLoading(true);
+  let cancelled = false;
 
   try {
     // Calculate Abjad value using client-side calculator
-    const calcResult = window.ism_e_azam_calculator_p.calculateAbjad(name);
+    const calcResult = calculateNames(name, motherName);
 
     if (!calcResult.success) {
-      showError(calcResult.error || 'Failed to calculate Abjad value');
+      showError(calcResult.error || t('error.calculate'));
       setLoading(false);
       return;
     }
 
     appState.lastCalculatedName = name;
+    appState.lastMotherName = motherName;
     appState.lastAbjadValue = calcResult.totalValue;
+    appState.lastAbjadResult = calcResult;
+    // Only a new name gets its own Back step; option changes update it in place
+    updatePermalink(restoring || !nameChanged);
 
     // Display calculation results
     displayCalculationResults(calcResult);
+    appState.lastCalculationResult = null;
+    appState.lastPartMatches = [];
+    appState.lastWordMatches = [];
+    matchResultDiv.innerHTML = '';
+    renderPartMatches();
+    renderWordMatches();
+
+    // Match the total and, with a mother's name or per-word matching on,
+    // each name and word on its own; the search runs in the match worker
+    const parts = calcResult.parts || [];
+    const words = selectMatchWords(calcResult);
+    const results = await matchValues([
+      calcResult.totalValue,
+      ...parts.map(part => part.result.totalValue),
+      ...words.map(word => word.totalValue)
+    ], createMatchProgress(calcResult.totalValue));
+
+    if (results === null) {
+      // Cancelled; whoever cancelled has taken over the loading state
+      cancelled = true;
+      return;
+    }
 
-    // Find matching Divine Names using client-side matcher
-    const matchResult = window.ism_e_azam_calculator_p.matchDivineNames(calcResult.totalValue);
-
+    const [matchResult, ...rest] = results;
     if (matchResult.success) {
       appState.lastCalculationResult = matchResult;
       displayMatchResults(matchResult);
+      recordHistory(calcResult, matchResult);
     } else {
-      showError(matchResult.error || 'Failed to find matching Divine Names');
+      showError(matchResult.error || t('error.match'));
     }
 
+    appState.lastPartMatches = parts.map((part, i) => ({ ...part, matchResult: rest[i] }));
+    renderPartMatches();
+    appState.lastWordMatches = words.map((word, i) => ({ ...word, match: rest[parts.length + i] }));
+    renderWordMatches();
+
   } catch (error) {
-    showError('An error occurred: ' + error.message);
+    showError(t('error.generic', { error: error.message }));
     console.error('Error:', error);
   } finally {
-    setLoading(false);
+    if (!cancelled) {
+      setLoading(false);
+    }
+  }
+}
+
+/**
+ * Stop a running match search, keeping whatever it has shown so far
+ */
+function handleCancelSearch() {
+  if (!cancelMatching()) {
+    return;
+  }
+  setLoading(false);
+  const note = document.createElement('p');
+  note.className = 'help-text';
+  note.textContent = t('match.cancelled');
+  matchResultDiv.appendChild(note);
+}
+
+/**
+ * Fetch the next page of the total's combinations and add it to the list
+ */
+async function handleLoadMore() {
+  const current = appState.lastCalculationResult;
+  if (!current || !current.hasMore || appState.isLoading) {
+    return;
+  }
+
+  setLoading(true);
+  let cancelled = false;
+
+  try {
+    const results = await matchValues(
+      [current.abjadValue],
+      createMatchProgress(current.abjadValue, { showPartial: false }),
+      { offset: current.combinations.length }
+    );
+    if (results === null) {
+      cancelled = true;
+      return;
+    }
+
+    const [next] = results;
+    if (!next.success) {
+      showError(next.error || t('error.match'));
+      return;
+    }
+    const combinations = [...current.combinations, ...next.combinations];
+    appState.lastCalculationResult = {
+      ...current,
+      combinations,
+      count: combinations.length,
+      total: next.total,
+      hasMore: next.hasMore,
+      complete: next.complete,
+      responseTimeMs: next.responseTimeMs
+    };
+    displayMatchResults(appState.lastCalculationResult);
+  } catch (error) {
+    showError(t('error.generic', { error: error.message }));
+    console.error('Error:', error);
+  } finally {
+    if (!cancelled) {
+      setLoading(false);
+    }
+  }
+}
+
+/**
+ * Download the current result as a PNG or PDF card
+ */
+async function handleExportCard(format) {
+  if (!appState.lastAbjadResult) {
+    showError(t('error.exportFirst'));
+    return;
+  }
+
+  const button = format === 'pdf' ? exportPdfBtn : exportPngBtn;
+  button.disabled = true;
+
+  try {
+    if (format === 'pdf') {
+      await downloadResultCardPDF(appState.lastAbjadResult, appState.lastCalculationResult);
+    } else {
+      await downloadResultCardPNG(appState.lastAbjadResult, appState.lastCalculationResult);
+    }
+  } catch (error) {
+    showError(t('error.card', { error: error.message }));
+    console.error('Error:', error);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Redraw everything on screen in the newly chosen language
+ */
+function handleLanguageChange() {
+  localizeOptionLabels();
+  renderFilters();
+  renderHistory();
+  if (batchState.rows.length > 0) {
+    renderBatchTable();
+  }
+  if (offlineStatus.style.display !== 'none') {
+    renderOfflineStatus();
+  }
+  if (!appState.isLoading) {
+    calculateBtn.textContent = t('button.calculate');
+  }
+
+  // Warnings and labels come from the calculator, so recalculate in place
+  if (appState.lastAbjadResult) {
+    const calcResult = calculateNames(appState.lastCalculatedName, appState.lastMotherName);
+    if (calcResult.success) {
+      appState.lastAbjadResult = calcResult;
+      renderCalculationDetails(calcResult);
+      // Only the labels change, so the earlier matches are kept; while a search
+      // runs, or after it was stopped, there are none yet and those sections stay empty
+      appState.lastPartMatches = (calcResult.parts || [])
+        .map((part, i) => ({ ...part, matchResult: appState.lastPartMatches[i]?.matchResult }))
+        .filter(part => part.matchResult);
+      appState.lastWordMatches = selectMatchWords(calcResult)
+        .map((word, i) => ({ ...word, match: appState.lastWordMatches[i]?.match }))
+        .filter(word => word.match);
+    }
+    if (appState.lastCalculationResult) {
+      displayMatchResults(appState.lastCalculationResult);
+    }
+    renderPartMatches();
+    renderWordMatches();
+  }
+}
+
+/**
+ * Name the abjad systems, orthography profiles and rankings in the current language
+ */
+function localizeOptionLabels() {
+  const { Messages } = window.ism_e_azam_calculator_p;
+  const selects = [['system', abjadSystemSelect], ['profile', normalizationSelect], ['ranking', sortSelect]];
+  for (const [kind, select] of selects) {
+    for (const option of select.options) {
+      option.dataset.label = option.dataset.label || option.textContent;
+      option.textContent = Messages.label(kind, option.value, option.dataset.label);
+    }
+  }
+}
+
+/**
+ * Collect calculateAbjad options from the form
+ */
+function getCalculationOptions() {
+  return {
+    system: abjadSystemSelect.value,
+    profile: normalizationSelect.value,
+    shadda: shaddaSelect.value,
+    stripHonorifics: stripHonorificsCheckbox.checked,
+    keepWords: [...appState.keptWords]
+  };
+}
+
+/**
+ * The mother's name to include, or '' when that mode is off
+ */
+function getMotherName() {
+  return motherModeCheckbox.checked ? motherNameInput.value.trim() : '';
+}
+
+/**
+ * Show the mother's name field only while that mode is on
+ */
+function updateMotherField() {
+  motherNameField.style.display = motherModeCheckbox.checked ? 'block' : 'none';
+}
+
+/**
+ * Calculate a name, together with the mother's name when one is given
+ */
+function calculateNames(name, motherName) {
+  const calculator = window.ism_e_azam_calculator_p;
+  return motherName
+    ? calculator.calculateWithMotherName(name, motherName, getCalculationOptions())
+    : calculator.calculateAbjad(name, getCalculationOptions());
+}
+
+/**
+ * Words of a multi-word name to match on their own, when that option is on
+ * @returns {Array} The result's `words`, each with the `label` of its part; empty otherwise
+ */
+function selectMatchWords(calcResult) {
+  if (!matchWordsCheckbox.checked) {
+    return [];
+  }
+  // A one-word name (or part) would only repeat the match above it
+  const labels = new Map((calcResult.parts || []).map(part => [part.part, part.label]));
+  return calcResult.words
+    .filter(word => calcResult.words.filter(other => other.part === word.part).length > 1)
+    .map(word => ({ ...word, label: labels.get(word.part) }));
+}
+
+/**
+ * Collect matchDivineNames options from the form
+ */
+function getMatchOptions() {
+  return {
+    maxNames: parseInt(matchDepthSelect.value),
+    tolerance: Math.max(0, Number(toleranceInput.value) || 0),
+    sort: sortSelect.value,
+    ...getFilterOptions()
+  };
+}
+
+/**
+ * Show Arabic-script spellings for a Roman Urdu name, each with its total.
+ * Picking one puts it in the field it was typed in and runs the calculation.
+ */
+function showTransliteration(latinName, input) {
+  const result = window.ism_e_azam_calculator_p.transliterateName(latinName, getCalculationOptions());
+
+  if (!result.success) {
+    showError(result.error || t('error.transliterate'));
+    return;
   }
+
+  transliterationList.innerHTML = '';
+  for (const candidate of result.candidates) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'transliteration-option';
+    button.innerHTML = `
+      <span class="arabic-name">${candidate.arabic}</span>
+      <span class="value-badge">${candidate.totalValue}</span>
+      ${candidate.source === 'dictionary' ? `<span class="source-badge">${t('transliteration.common')}</span>` : ''}
+    `;
+    button.addEventListener('click', () => {
+      input.value = candidate.arabic;
+      handleCalculate();
+    });
+    transliterationList.appendChild(button);
+  }
+
+  transliterationPanel.style.display = 'block';
+}
+
+/**
+ * Hide the spelling picker
+ */
+function hideTransliteration() {
+  transliterationPanel.style.display = 'none';
+  transliterationList.innerHTML = '';
 }
 
 /**
  * Handle clear button click
  */
-function handleClear() {
+function handleClear(options = {}) {
+  const { restoring = false } = options;
+  if (cancelMatching()) {
+    setLoading(false);
+  }
   nameInput.value = '';
+  motherNameInput.value = '';
   clearError();
+  hideTransliteration();
   resultSection.style.display = 'none';
   emptyState.style.display = 'block';
   appState.lastCalculatedName = '';
+  appState.lastMotherName = '';
   appState.lastAbjadValue = 0;
   appState.lastCalculationResult = null;
+  appState.lastAbjadResult = null;
+  appState.lastPartMatches = [];
+  appState.lastWordMatches = [];
+  appState.keptWords.clear();
+  appState.collapsedWords.clear();
+  if (!restoring) {
+    updatePermalink(false);
+  }
   nameInput.focus();
 }
 
@@ -123,61 +568,267 @@ function displayCalculationResults(calcResult) {
   resultSection.style.display = 'block';
   emptyState.style.display = 'none';
 
-  // Update input summary
+  renderCalculationDetails(calcResult);
+
+  // Scroll to results
+  setTimeout(() => {
+    resultSection.scrollIntoView({ behavior: 'smooth' });
+  }, 100);
+}
+
+/**
+ * Fill the summary, warnings, breakdown and total for a calculation
+ */
+function renderCalculationDetails(calcResult) {
+  // Update input summary; a name-plus-mother result summarizes each name
+  const parts = calcResult.parts ? calcResult.parts.map(part => part.result) : [calcResult];
   originalNameSpan.textContent = calcResult.inputName;
-  cleanedNameSpan.textContent = calcResult.cleanedName;
+  motherNameSpan.textContent = calcResult.motherName || '';
+  for (const item of motherSummaryItems) {
+    item.style.display = calcResult.parts ? '' : 'none';
+  }
+  const hasHonorifics = parts
+    .map((part, i) => renderCleanedName(part, i === 0 ? cleanedNameSpan : cleanedMotherNameSpan))
+    .some(Boolean);
+  excludedWordsHint.style.display = hasHonorifics ? 'block' : 'none';
+  abjadSystemSpan.textContent = calcResult.abjadSystemLabel;
+  normalizationProfileSpan.textContent = calcResult.normalizationProfileLabel;
+
+  // Show what the text processor changed or skipped
+  calcWarningsList.innerHTML = '';
+  for (const warning of calcResult.warnings) {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    calcWarningsList.appendChild(item);
+  }
+  calcWarningsList.style.display = calcResult.warnings.length > 0 ? 'block' : 'none';
 
   // Update character breakdown table
-  breakdownTableBody.innerHTML = '';
-  for (const item of calcResult.characterBreakdown) {
-    const row = document.createElement('tr');
-    row.innerHTML = `
-      <td>${item.position}</td>
-      <td class="arabic-text">${item.character}</td>
-      <td>${item.value}</td>
-    `;
-    breakdownTableBody.appendChild(row);
-  }
+  renderBreakdown(calcResult);
 
   // Update total value
   totalValueSpan.textContent = calcResult.totalValue;
+  partTotals.textContent = calcResult.parts
+    ? calcResult.parts.map(part => t('total.part', { part: part.label, value: part.result.totalValue })).join(' + ')
+    : '';
+  partTotals.style.display = calcResult.parts ? 'block' : 'none';
+}
 
-  // Scroll to results
-  setTimeout(() => {
-    resultSection.scrollIntoView({ behavior: 'smooth' });
-  }, 100);
+/**
+ * Render a cleaned name into a summary field, striking through excluded
+ * titles and castes. Every title/caste is clickable so the user can override it.
+ * @returns {boolean} Whether the name had any titles or castes
+ */
+function renderCleanedName(calcResult, span) {
+  const hasHonorifics = calcResult.nameWords.some(word => word.honorific);
+
+  if (!hasHonorifics) {
+    span.textContent = calcResult.cleanedName;
+    return false;
+  }
+
+  span.innerHTML = '';
+  calcResult.nameWords.forEach((word, i) => {
+    if (i > 0) {
+      span.appendChild(document.createTextNode(' '));
+    }
+    if (!word.honorific) {
+      span.appendChild(document.createTextNode(word.text));
+      return;
+    }
+    const el = document.createElement(word.excluded ? 's' : 'span');
+    el.className = 'honorific-word' + (word.excluded ? ' excluded' : '');
+    el.dataset.word = word.text;
+    el.title = t(word.excluded ? 'summary.honorificExcluded' : 'summary.honorificIncluded', { title: word.honorific });
+    el.textContent = word.text;
+    span.appendChild(el);
+  });
+  return true;
+}
+
+/**
+ * Render the breakdown table for the active calculation mode tab
+ */
+function renderBreakdown(calcResult) {
+  const mode = calcResult.modes[appState.activeMode] || calcResult.modes.kabir;
+
+  for (const tab of modeTabs.querySelectorAll('.mode-tab')) {
+    tab.classList.toggle('active', tab.dataset.mode === appState.activeMode);
+  }
+
+  // A name-plus-mother result lists each name's letters under its own heading
+  const groups = mode.parts
+    ? mode.parts.map(part => ({ ...part, items: mode.characterBreakdown.filter(item => item.part === part.part) }))
+    : [{ items: mode.characterBreakdown }];
+
+  breakdownTableBody.innerHTML = '';
+  for (const group of groups) {
+    if (group.label) {
+      const heading = document.createElement('tr');
+      heading.className = 'breakdown-part';
+      heading.innerHTML = '<th colspan="3"></th>';
+      heading.firstElementChild.textContent = group.label;
+      breakdownTableBody.appendChild(heading);
+    }
+
+    // Words of a multi-word name get their own collapsible subtotal rows
+    const words = mode.words.filter(word => word.part === group.part);
+    for (const word of words) {
+      const key = `${word.part || ''}:${word.index}`;
+      const collapsed = appState.collapsedWords.has(key);
+      if (words.length > 1) {
+        breakdownTableBody.appendChild(createWordRow(word, key, collapsed));
+      }
+      for (const item of group.items.filter(item => item.word === word.index)) {
+        const row = createBreakdownRow(item);
+        row.hidden = words.length > 1 && collapsed;
+        breakdownTableBody.appendChild(row);
+      }
+    }
+
+    if (group.label) {
+      const subtotal = document.createElement('tr');
+      subtotal.className = 'breakdown-subtotal';
+      subtotal.innerHTML = `
+        <td colspan="2">${t('breakdown.subtotal', { part: group.label })}</td>
+        <td>${group.totalValue}</td>
+      `;
+      breakdownTableBody.appendChild(subtotal);
+    }
+  }
+
+  modeTotalLabel.textContent = mode.label;
+  modeTotalValue.textContent = mode.totalValue;
+}
+
+/**
+ * Heading row for one word of the breakdown table, showing its subtotal
+ */
+function createWordRow(word, key, collapsed) {
+  const row = document.createElement('tr');
+  row.className = 'breakdown-word';
+  row.innerHTML = `
+    <td colspan="2"><button type="button" class="word-toggle"></button></td>
+    <td>${word.totalValue}</td>
+  `;
+  const toggle = row.querySelector('.word-toggle');
+  toggle.dataset.word = key;
+  toggle.title = t('breakdown.wordToggle');
+  toggle.setAttribute('aria-expanded', String(!collapsed));
+  toggle.textContent = `${collapsed ? '▸' : '▾'} ${word.text}`;
+  return row;
+}
+
+/**
+ * One row of the breakdown table
+ */
+function createBreakdownRow(item) {
+  const row = document.createElement('tr');
+  const letterName = item.letterName ? ` <span class="letter-name">(${item.letterName})</span>` : '';
+  const doubledBadge = item.doubled
+    ? ` <span class="doubled-badge" title="${t('breakdown.doubledTitle')}">ّ ${t('breakdown.doubled')}</span>`
+    : '';
+  if (item.doubled) {
+    row.className = 'doubled-letter';
+  }
+  row.innerHTML = `
+    <td>${item.position}</td>
+    <td class="arabic-text">${item.character}${letterName}${doubledBadge}</td>
+    <td>${item.value}</td>
+  `;
+  return row;
 }
 
 /**
  * Display match results
+ * @param {Object} matchResult - matchDivineNames result
+ * @param {HTMLElement} [container] - Where to render (the main match card by default)
  */
-function displayMatchResults(matchResult) {
-  matchResultDiv.innerHTML = '';
+function displayMatchResults(matchResult, container = matchResultDiv) {
+  container.innerHTML = '';
+
+  if (matchResult.type === 'nearest' && matchResult.hasSuggestions) {
+    displayNearestValues(matchResult, container);
+    return;
+  }
 
   if (!matchResult.found) {
-    matchResultDiv.innerHTML = `
+    container.innerHTML = `
       <div class="error-message">
-        <p>No direct matches or combinations found for value <strong>${matchResult.abjadValue}</strong></p>
+        <p>${t('match.none', { value: matchResult.abjadValue })}</p>
       </div>
     `;
     return;
   }
 
   if (matchResult.type === 'direct_match') {
-    displayDirectMatch(matchResult);
+    displayDirectMatch(matchResult, container);
   } else if (matchResult.type === 'two_name_combination') {
-    displayTwoNameCombination(matchResult);
+    displayTwoNameCombination(matchResult, container);
+  } else if (matchResult.type === 'multi_name_combination') {
+    displayMultiNameCombination(matchResult, container);
+  }
+}
+
+/**
+ * Show the matches for each name on its own under the combined result
+ */
+function renderPartMatches() {
+  renderSubMatches(partMatchesDiv, appState.lastPartMatches.map(part => ({
+    heading: t('match.partHeading', {
+      part: part.label,
+      name: part.result.cleanedName,
+      value: part.result.totalValue
+    }),
+    matchResult: part.matchResult
+  })));
+}
+
+/**
+ * Show the matches for each word on its own under the combined result
+ */
+function renderWordMatches() {
+  renderSubMatches(wordMatchesDiv, appState.lastWordMatches.map(word => ({
+    heading: word.label
+      ? t('match.wordHeadingPart', { part: word.label, word: word.text, value: word.totalValue })
+      : t('match.wordHeading', { word: word.text, value: word.totalValue }),
+    matchResult: word.match
+  })));
+}
+
+/**
+ * Render a list of headed match results into a container, hiding it when empty
+ * @param {Array} entries - { heading, matchResult } per section
+ */
+function renderSubMatches(container, entries) {
+  container.innerHTML = '';
+  container.style.display = entries.length > 0 ? 'block' : 'none';
+
+  for (const entry of entries) {
+    const section = document.createElement('div');
+    section.className = 'part-match';
+    const heading = document.createElement('h4');
+    heading.textContent = entry.heading;
+    const body = document.createElement('div');
+    if (entry.matchResult.success) {
+      displayMatchResults(entry.matchResult, body);
+    } else {
+      body.className = 'error-message';
+      body.textContent = entry.matchResult.error || t('error.match');
+    }
+    section.append(heading, body);
+    container.appendChild(section);
   }
 }
 
 /**
  * Display direct match results
  */
-function displayDirectMatch(result) {
+function displayDirectMatch(result, container) {
   let html = `
     <div class="direct-match">
-      <h4>🎉 Direct Match Found!</h4>
-      <p class="match-count">${result.count} Divine Name(s) with value <strong>${result.abjadValue}</strong></p>
+      <h4>${t('match.directHeading')}</h4>
+      <p class="match-count">${t('match.directCount', { count: result.count, value: result.abjadValue })}</p>
       <div class="divine-names-list">
   `;
 
@@ -198,21 +849,21 @@ function displayDirectMatch(result) {
 
   html += `
       </div>
-      <div class="response-time">Response time: ${result.responseTimeMs.toFixed(2)}ms</div>
+      <div class="response-time">${t('match.responseTime', { ms: result.responseTimeMs.toFixed(2) })}</div>
     </div>
   `;
 
-  matchResultDiv.innerHTML = html;
+  container.innerHTML = html;
 }
 
 /**
  * Display two-name combination results
  */
-function displayTwoNameCombination(result) {
+function displayTwoNameCombination(result, container) {
   let html = `
     <div class="combination-match">
-      <h4>🎯 Combinations Found!</h4>
-      <p class="match-count">${result.count} combination(s) that add up to <strong>${result.abjadValue}</strong></p>
+      <h4>${t('match.comboHeading')}</h4>
+      <p class="match-count">${t('match.comboCount', { count: formatComboTotal(result), value: result.abjadValue })}</p>
       <div class="combinations-list">
   `;
 
@@ -244,27 +895,152 @@ function displayTwoNameCombination(result) {
 
   html += `
       </div>
-      <div class="response-time">Response time: ${result.responseTimeMs.toFixed(2)}ms</div>
+      ${renderComboPaging(result, container)}
+      <div class="response-time">${t('match.responseTime', { ms: result.responseTimeMs.toFixed(2) })}</div>
     </div>
   `;
 
-  matchResultDiv.innerHTML = html;
+  container.innerHTML = html;
 }
 
-// ========================================
-// UI UTILITIES
-// ========================================
-
 /**
- * Show error message
+ * Display combinations of three or more names
  */
-function showError(message) {
-  errorMessage.textContent = message;
-  errorMessage.style.display = 'block';
+function displayMultiNameCombination(result, container) {
+  let html = `
+    <div class="combination-match">
+      <h4>${t('match.multiHeading', { names: result.nameCount })}</h4>
+      <p class="match-count">${t('match.multiCount', { count: formatComboTotal(result), names: result.nameCount, value: result.abjadValue })}</p>
+      <div class="combinations-list">
+  `;
+
+  for (const combo of result.combinations) {
+    const nameCells = combo.names.map(name => `
+          <div class="combination-name">
+            <div class="arabic-name">${name.arabic_name}</div>
+            <div class="english-name">${name.english_name}</div>
+            <div class="value">${name.abjad_value}</div>
+            <div class="meaning">${name.meaning}</div>
+          </div>`).join('\n          <div class="plus-sign">+</div>');
+
+    html += `
+      <div class="combination-item multi-combination-item">
+        <div class="combination-formula">
+          ${nameCells}
+          <div class="plus-sign">=</div>
+          <div class="combination-name">
+            <div class="value" style="font-size: 1.2em; color: var(--warning-color);">${combo.total}</div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  html += `
+      </div>
+      ${renderComboPaging(result, container)}
+      <div class="response-time">${t('match.responseTime', { ms: result.responseTimeMs.toFixed(2) })}</div>
+    </div>
+  `;
+
+  container.innerHTML = html;
 }
 
 /**
- * Clear error message
+ * Number of combinations a result found; "+" marks a search that stopped
+ * at the ranking limit
+ */
+function formatComboTotal(result) {
+  if (result.total === undefined) {
+    return result.count;
+  }
+  return result.complete === false ? `${result.total}+` : result.total;
+}
+
+/**
+ * "Showing x of y" under a ranked page of combinations, with a button for
+ * the next page in the main match card
+ */
+function renderComboPaging(result, container) {
+  if (result.total === undefined || result.total <= result.count) {
+    return '';
+  }
+  let html = `<p class="help-text">${t('match.showing', { shown: result.count, total: formatComboTotal(result) })}</p>`;
+  if (result.hasMore && container === matchResultDiv) {
+    html += `<button type="button" class="btn btn-secondary load-more-btn">${t('button.loadMore')}</button>`;
+  }
+  return html;
+}
+
+/**
+ * Display nearest-value suggestions. These are not matches, so they are
+ * labelled "closest" and every entry shows how far it is from the total.
+ */
+function displayNearestValues(result, container) {
+  const renderSuggestions = (suggestions) => suggestions.map(suggestion => {
+    const names = suggestion.names.map(name => `
+          <div class="combination-name">
+            <div class="arabic-name">${name.arabic_name}</div>
+            <div class="english-name">${name.english_name}</div>
+            <div class="value">${name.abjad_value}</div>
+          </div>`).join('\n          <div class="plus-sign">+</div>');
+    const sign = suggestion.difference > 0 ? '+' : '−';
+
+    return `
+      <div class="combination-item nearest-item">
+        <div class="combination-formula">
+          ${names}
+          <div class="plus-sign">=</div>
+          <div class="combination-name">
+            <div class="value">${suggestion.total}</div>
+            <div class="difference-badge">${sign}${Math.abs(suggestion.difference)}</div>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  let html = `
+    <div class="nearest-match">
+      <h4>${t('match.nearestHeading')}</h4>
+      <p class="match-count">${t('match.nearestHelp', { value: result.abjadValue, tolerance: result.tolerance })}</p>
+  `;
+
+  if (result.below.length > 0) {
+    html += `
+      <h5>${t('match.below', { value: result.abjadValue })}</h5>
+      <div class="combinations-list">${renderSuggestions(result.below)}</div>
+    `;
+  }
+  if (result.above.length > 0) {
+    html += `
+      <h5>${t('match.above', { value: result.abjadValue })}</h5>
+      <div class="combinations-list">${renderSuggestions(result.above)}</div>
+    `;
+  }
+
+  html += `
+      <div class="response-time">${t('match.responseTime', { ms: result.responseTimeMs.toFixed(2) })}</div>
+    </div>
+  `;
+
+  container.innerHTML = html;
+}
+
+// ========================================
+// UI UTILITIES
+// ========================================
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  errorMessage.textContent = message;
+  errorMessage.style.display = 'block';
+}
+
+/**
+ * Clear error message
  */
 function clearError() {
   errorMessage.textContent = '';
@@ -279,52 +1055,1202 @@ function setLoading(isLoading) {
 
   if (isLoading) {
     loadingIndicator.style.display = 'block';
+    loadingProgress.removeAttribute('value');
+    loadingStatus.textContent = t('match.loading');
     calculateBtn.disabled = true;
-    calculateBtn.textContent = 'Calculating...';
+    calculateBtn.textContent = t('button.calculating');
   } else {
     loadingIndicator.style.display = 'none';
-    calculateBtn.disabled = false;
-    calculateBtn.textContent = 'Calculate Ism-e-Azam';
+    calculateBtn.disabled = !appState.dataReady;
+    calculateBtn.textContent = t('button.calculate');
   }
 }
 
 // ========================================
-// INITIALIZATION
+// PERMALINKS
 // ========================================
 
 /**
- * Wait for calculator to be initialized
+ * Query parameters that reproduce the current calculation. Options left at
+ * their defaults are omitted to keep links short.
  */
-function waitForCalculator() {
-  return new Promise((resolve) => {
-    const checkInterval = setInterval(() => {
-      if (window.IsmCalculator && window.IsmCalculator.calculateAbjad) {
-        clearInterval(checkInterval);
-        resolve();
+function buildPermalinkParams() {
+  const params = new URLSearchParams();
+  if (!appState.lastCalculatedName) {
+    return params;
+  }
+
+  params.set('name', appState.lastCalculatedName);
+  if (appState.lastMotherName) {
+    params.set('mother', appState.lastMotherName);
+  }
+  const fields = [
+    ['system', abjadSystemSelect],
+    ['profile', normalizationSelect],
+    ['shadda', shaddaSelect],
+    ['depth', matchDepthSelect],
+    ['tolerance', toleranceInput],
+    ['sort', sortSelect],
+    ['min', minValueInput],
+    ['max', maxValueInput]
+  ];
+  for (const [key, field] of fields) {
+    if (field.value !== getDefaultOption(field)) {
+      params.set(key, field.value);
+    }
+  }
+  if (!stripHonorificsCheckbox.checked) {
+    params.set('titles', 'keep');
+  }
+  if (matchWordsCheckbox.checked) {
+    params.set('words', 'each');
+  }
+  if (appState.keptWords.size > 0) {
+    params.set('keep', [...appState.keptWords].join(','));
+  }
+  for (const [kind, key] of [['required', 'include'], ['excluded', 'exclude']]) {
+    if (matchFilters[kind].length > 0) {
+      params.set(key, matchFilters[kind].join(','));
+    }
+  }
+  if (allowRepeatCheckbox.checked) {
+    params.set('repeat', 'yes');
+  }
+  return params;
+}
+
+/**
+ * Value a form field starts with in the page markup
+ */
+function getDefaultOption(field) {
+  if (field.tagName !== 'SELECT') {
+    return field.defaultValue;
+  }
+  const selected = [...field.options].find(option => option.defaultSelected) || field.options[0];
+  return selected ? selected.value : '';
+}
+
+/**
+ * Full link to the current calculation
+ */
+function buildPermalink() {
+  const query = buildPermalinkParams().toString();
+  return `${location.origin}${location.pathname}${query ? '?' + query : ''}`;
+}
+
+/**
+ * Keep the address bar in step with the last calculation
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+function updatePermalink(replace) {
+  hideShareStatus();
+  const url = buildPermalink();
+  if (url === location.href) {
+    return;
+  }
+  if (replace) {
+    history.replaceState(null, '', url);
+  } else {
+    history.pushState(null, '', url);
+  }
+}
+
+/**
+ * Set the form from query parameters
+ * @returns {boolean} True when the parameters name something to calculate
+ */
+function applyPermalinkParams(params) {
+  const setField = (field, value) => {
+    if (value === null) {
+      field.value = getDefaultOption(field);
+    } else if (field.tagName !== 'SELECT' || [...field.options].some(option => option.value === value)) {
+      field.value = value;
+    }
+  };
+
+  setField(abjadSystemSelect, params.get('system'));
+  setField(normalizationSelect, params.get('profile'));
+  setField(shaddaSelect, params.get('shadda'));
+  setField(matchDepthSelect, params.get('depth'));
+  setField(toleranceInput, params.get('tolerance'));
+  setField(sortSelect, params.get('sort'));
+  setField(minValueInput, params.get('min'));
+  setField(maxValueInput, params.get('max'));
+  stripHonorificsCheckbox.checked = params.get('titles') !== 'keep';
+  matchWordsCheckbox.checked = params.get('words') === 'each';
+  allowRepeatCheckbox.checked = params.get('repeat') === 'yes';
+  for (const [kind, key] of [['required', 'include'], ['excluded', 'exclude']]) {
+    matchFilters[kind] = (params.get(key) || '').split(',').filter(Boolean).map(Number).filter(Number.isInteger);
+  }
+  renderFilters();
+
+  appState.keptWords = new Set((params.get('keep') || '').split(',').filter(Boolean));
+  nameInput.value = params.get('name') || '';
+  motherNameInput.value = params.get('mother') || '';
+  motherModeCheckbox.checked = motherNameInput.value.trim() !== '';
+  updateMotherField();
+  return nameInput.value.trim() !== '';
+}
+
+/**
+ * Replay the calculation described by the address bar (page load, back/forward)
+ */
+function restoreFromPermalink() {
+  if (applyPermalinkParams(new URLSearchParams(location.search))) {
+    handleCalculate({ restoring: true });
+  } else if (appState.lastCalculatedName) {
+    handleClear({ restoring: true });
+  }
+}
+
+/**
+ * Copy the link to the current result
+ */
+async function handleCopyLink() {
+  const url = buildPermalink();
+
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch (error) {
+    // Clipboard API needs a secure context; fall back to a selected text field
+    const field = document.createElement('textarea');
+    field.value = url;
+    document.body.appendChild(field);
+    field.select();
+    const copied = document.execCommand('copy');
+    field.remove();
+    if (!copied) {
+      showShareStatus(url);
+      return;
+    }
+  }
+  showShareStatus(t('share.copied'));
+}
+
+/**
+ * Open the device share sheet for the current result
+ */
+async function handleShare() {
+  try {
+    await navigator.share({
+      title: t('share.title'),
+      text: appState.lastMotherName
+        ? t('share.textMother', { name: appState.lastCalculatedName, mother: appState.lastMotherName, value: appState.lastAbjadValue })
+        : t('share.text', { name: appState.lastCalculatedName, value: appState.lastAbjadValue }),
+      url: buildPermalink()
+    });
+  } catch (error) {
+    // Closing the share sheet rejects with AbortError; nothing to report
+    if (error.name !== 'AbortError') {
+      showShareStatus(t('share.failed', { error: error.message }));
+    }
+  }
+}
+
+/**
+ * Show a short note under the share buttons
+ */
+function showShareStatus(message) {
+  shareStatus.textContent = message;
+  shareStatus.style.display = 'block';
+}
+
+/**
+ * Hide the share note
+ */
+function hideShareStatus() {
+  shareStatus.textContent = '';
+  shareStatus.style.display = 'none';
+}
+
+if (navigator.share) {
+  shareBtn.style.display = '';
+}
+
+// ========================================
+// HISTORY & FAVOURITES
+// ========================================
+
+const HISTORY_STORAGE_KEY = 'ismEAzamHistory';
+const HISTORY_LIMIT = 200;
+// Match types an entry may record; each has a matchType.* label
+const HISTORY_MATCH_TYPES = ['direct_match', 'two_name_combination', 'multi_name_combination', 'nearest', 'none'];
+
+const historySearch = document.getElementById('historySearch');
+const historyFavouritesOnly = document.getElementById('historyFavouritesOnly');
+const historyExportBtn = document.getElementById('historyExportBtn');
+const historyImportFile = document.getElementById('historyImportFile');
+const historyStatus = document.getElementById('historyStatus');
+const historyList = document.getElementById('historyList');
+const historyEmpty = document.getElementById('historyEmpty');
+
+/**
+ * Read saved history, newest first
+ */
+function loadHistory() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error('[ERROR] Could not read calculation history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Save history, dropping the oldest non-favourites past the limit
+ */
+function saveHistory(entries) {
+  let extra = entries.length - HISTORY_LIMIT;
+  const kept = [...entries].reverse().filter(entry => {
+    if (extra > 0 && !entry.favourite) {
+      extra--;
+      return false;
+    }
+    return true;
+  }).reverse();
+
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+  } catch (error) {
+    // Private browsing or a full quota; history is a convenience, so carry on
+    console.error('[ERROR] Could not save calculation history:', error.message);
+  }
+  return kept;
+}
+
+/**
+ * A new id for a history entry
+ */
+function createHistoryId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Add the current calculation to history. Repeating a calculation with the
+ * same options moves its entry to the top instead of adding a duplicate.
+ */
+function recordHistory(calcResult, matchResult) {
+  const query = buildPermalinkParams().toString();
+  const entries = loadHistory();
+  const existing = entries.find(entry => entry.query === query);
+
+  const entry = {
+    id: existing ? existing.id : createHistoryId(),
+    name: appState.lastCalculatedName,
+    motherName: appState.lastMotherName || undefined,
+    cleanedName: calcResult.cleanedName,
+    totalValue: calcResult.totalValue,
+    matchType: matchResult.found ? matchResult.type : (matchResult.hasSuggestions ? 'nearest' : 'none'),
+    matches: describeMatch(matchResult),
+    query: query,
+    timestamp: new Date().toISOString(),
+    favourite: existing ? existing.favourite : false
+  };
+
+  saveHistory([entry, ...entries.filter(item => item !== existing)]);
+  renderHistory();
+}
+
+/**
+ * Entries matching the search box and favourites filter
+ */
+function getVisibleHistory() {
+  const term = historySearch.value.trim().toLowerCase();
+  return loadHistory().filter(entry => {
+    if (historyFavouritesOnly.checked && !entry.favourite) {
+      return false;
+    }
+    if (!term) {
+      return true;
+    }
+    return [entry.name, entry.motherName, entry.cleanedName, String(entry.totalValue), entry.matches]
+      .some(text => (text || '').toLowerCase().includes(term));
+  });
+}
+
+/**
+ * Render the history list
+ */
+function renderHistory() {
+  const entries = getVisibleHistory();
+  historyList.innerHTML = '';
+  historyEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+  historyEmpty.textContent = t(loadHistory().length === 0 ? 'history.empty' : 'history.noResults');
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'history-item' + (entry.favourite ? ' favourite' : '');
+    item.dataset.id = entry.id;
+    item.innerHTML = `
+      <button type="button" class="history-star" data-action="star" title="${t(entry.favourite ? 'history.unstar' : 'history.star')}">${entry.favourite ? '★' : '☆'}</button>
+      <button type="button" class="history-name" data-action="run"></button>
+      <span class="value-badge">${entry.totalValue}</span>
+      <span class="history-meta"></span>
+      <button type="button" class="history-delete" data-action="delete" title="${t('history.delete')}">✕</button>
+    `;
+    // Names come from user input or imported files, so set them as text
+    item.querySelector('.history-name').textContent = entry.motherName
+      ? t('history.withMother', { name: entry.name, mother: entry.motherName })
+      : entry.name;
+    item.querySelector('.history-name').title = entry.matches || t('history.run');
+    item.querySelector('.history-meta').textContent =
+      `${t(`matchType.${entry.matchType}`)} · ${new Date(entry.timestamp).toLocaleString(getLanguage())}`;
+    historyList.appendChild(item);
+  }
+}
+
+/**
+ * Star, re-run or delete an entry
+ */
+function handleHistoryAction(action, id) {
+  const entries = loadHistory();
+  const entry = entries.find(item => item.id === id);
+  if (!entry) return;
+
+  if (action === 'run') {
+    applyPermalinkParams(new URLSearchParams(entry.query));
+    handleCalculate({ keepOverrides: true });
+    resultSection.scrollIntoView({ behavior: 'smooth' });
+    return;
+  }
+
+  if (action === 'star') {
+    entry.favourite = !entry.favourite;
+    saveHistory(entries);
+  } else if (action === 'delete') {
+    saveHistory(entries.filter(item => item !== entry));
+  }
+  renderHistory();
+}
+
+/**
+ * Download history as JSON
+ */
+function handleHistoryExport() {
+  const data = {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    entries: loadHistory()
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'ism-e-azam-history.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Merge entries from an exported JSON file. Entries already present keep
+ * their favourite star if either copy has one.
+ */
+function importHistory(text) {
+  const data = JSON.parse(text);
+  const incoming = Array.isArray(data) ? data : data.entries;
+  if (!Array.isArray(incoming)) {
+    throw new Error(t('history.notAList'));
+  }
+
+  const valid = incoming.filter(entry =>
+    entry && typeof entry.name === 'string' && typeof entry.query === 'string' &&
+    Number.isFinite(entry.totalValue) && !Number.isNaN(Date.parse(entry.timestamp)) &&
+    HISTORY_MATCH_TYPES.includes(entry.matchType) &&
+    ['motherName', 'cleanedName', 'matches'].every(key => entry[key] == null || typeof entry[key] === 'string')
+  );
+
+  const byQuery = new Map(loadHistory().map(entry => [entry.query, entry]));
+  for (const entry of valid) {
+    const existing = byQuery.get(entry.query);
+    if (!existing || Date.parse(entry.timestamp) > Date.parse(existing.timestamp)) {
+      byQuery.set(entry.query, {
+        ...entry,
+        // Ids from the file could clash with local entries, so they are replaced
+        id: existing ? existing.id : createHistoryId(),
+        favourite: Boolean(entry.favourite || (existing && existing.favourite))
+      });
+    } else if (entry.favourite) {
+      existing.favourite = true;
+    }
+  }
+
+  const merged = [...byQuery.values()].sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+  saveHistory(merged);
+  return { imported: valid.length, skipped: incoming.length - valid.length };
+}
+
+historyList.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  handleHistoryAction(button.dataset.action, button.closest('.history-item').dataset.id);
+});
+historySearch.addEventListener('input', renderHistory);
+historyFavouritesOnly.addEventListener('change', renderHistory);
+historyExportBtn.addEventListener('click', handleHistoryExport);
+historyImportFile.addEventListener('change', () => {
+  const file = historyImportFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const { imported, skipped } = importHistory(reader.result);
+      historyStatus.textContent = skipped
+        ? t('history.importedSkipped', { count: imported, skipped })
+        : t('history.imported', { count: imported });
+    } catch (error) {
+      historyStatus.textContent = t('history.importError', { error: error.message });
+    }
+    historyStatus.style.display = 'block';
+    historyImportFile.value = '';
+    renderHistory();
+  };
+  reader.readAsText(file, 'UTF-8');
+});
+
+renderHistory();
+
+// ========================================
+// BATCH MODE
+// ========================================
+
+const batchState = {
+  rows: [],
+  sortKey: 'row',
+  sortAscending: true,
+  // Whether the rows are being matched
+  running: false
+};
+
+const batchInput = document.getElementById('batchInput');
+const batchFile = document.getElementById('batchFile');
+const batchRunBtn = document.getElementById('batchRunBtn');
+const batchExportBtn = document.getElementById('batchExportBtn');
+const batchClearBtn = document.getElementById('batchClearBtn');
+const batchSummary = document.getElementById('batchSummary');
+const batchProgress = document.getElementById('batchProgress');
+const batchProgressBar = document.getElementById('batchProgressBar');
+const batchStatus = document.getElementById('batchStatus');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const batchTable = document.getElementById('batchTable');
+const batchTableBody = document.getElementById('batchTableBody');
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting)
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
       }
-    }, 100);
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCSVCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Take the names from the first CSV column, skipping a "name" header row
+ */
+function extractBatchNames(text) {
+  const names = parseCSV(text.replace(/^\uFEFF/, ''))
+    .map(cells => (cells[0] || '').trim())
+    .filter(Boolean);
 
-    // Timeout after 5 seconds
-    setTimeout(() => {
-      clearInterval(checkInterval);
-      resolve();
-    }, 5000);
+  if (names.length > 0 && /^names?$/i.test(names[0])) {
+    names.shift();
+  }
+  return names;
+}
+
+/**
+ * Summarize a match result as plain text for the table and CSV
+ */
+function describeMatch(matchResult) {
+  const names = list => list.map(name => `${name.arabic_name} (${name.english_name})`).join(' + ');
+
+  if (matchResult.type === 'direct_match' && matchResult.found) {
+    return matchResult.divineNames.map(name => `${name.arabic_name} (${name.english_name})`).join('; ');
+  }
+  if (matchResult.type === 'two_name_combination' && matchResult.found) {
+    return matchResult.combinations.map(combo => names([combo.name1, combo.name2])).join('; ');
+  }
+  if (matchResult.type === 'multi_name_combination' && matchResult.found) {
+    return matchResult.combinations.map(combo => names(combo.names)).join('; ');
+  }
+  return '';
+}
+
+/**
+ * Calculate one batch row, capturing errors per row; matching comes later
+ */
+function calculateBatchRow(name, index) {
+  const row = {
+    row: index + 1,
+    name: name,
+    cleanedName: '',
+    totalValue: null,
+    matchType: '',
+    matches: '',
+    error: ''
+  };
+
+  const calculator = window.ism_e_azam_calculator_p;
+
+  if (calculator.Transliterator.isLatin(name)) {
+    const spelling = calculator.transliterateName(name, getCalculationOptions());
+    row.error = spelling.success
+      ? t('batch.latinExample', { example: spelling.candidates[0].arabic })
+      : t('batch.latin');
+    return row;
+  }
+
+  const options = { ...getCalculationOptions(), keepWords: [] };
+  const calcResult = calculator.calculateAbjad(name, options);
+  if (!calcResult.success) {
+    row.error = calcResult.error;
+    return row;
+  }
+
+  row.cleanedName = calcResult.cleanedName;
+  row.totalValue = calcResult.totalValue;
+  return row;
+}
+
+/**
+ * Fill in a batch row from the match result for its total
+ */
+function applyBatchMatch(row, matchResult) {
+  if (!matchResult.success) {
+    row.error = matchResult.error;
+    return;
+  }
+  row.matchType = matchResult.found ? matchResult.type : 'none';
+  row.matches = describeMatch(matchResult) || t('batch.noMatch');
+}
+
+/**
+ * Run every name in the batch input. The totals are matched in the match
+ * worker, one search per distinct value, with progress and a Stop button.
+ */
+async function handleBatchRun() {
+  const names = extractBatchNames(batchInput.value);
+
+  if (names.length === 0) {
+    showError(t('batch.empty'));
+    return;
+  }
+
+  clearError();
+  // The worker runs one search at a time, so stop the form's search first
+  if (appState.isLoading) {
+    handleCancelSearch();
+  }
+
+  const rows = names.map((name, i) => calculateBatchRow(name, i));
+  const pending = rows.filter(row => !row.error);
+  const values = [...new Set(pending.map(row => row.totalValue))];
+
+  let results = [];
+  if (values.length > 0) {
+    setBatchRunning(true);
+    results = await matchValues(values, (message) => {
+      const percent = Math.round(message.fraction * 100);
+      batchProgressBar.value = percent;
+      batchStatus.textContent = t('batch.progress', { done: message.index, count: message.count, percent });
+    });
+    setBatchRunning(false);
+  }
+
+  const byValue = new Map(results ? values.map((value, i) => [value, results[i]]) : []);
+  for (const row of pending) {
+    if (byValue.has(row.totalValue)) {
+      applyBatchMatch(row, byValue.get(row.totalValue));
+    } else {
+      // Stopped, or replaced by another search, before the row was matched
+      row.error = t('batch.stopped');
+    }
+  }
+
+  batchState.rows = rows;
+  renderBatchTable();
+}
+
+/**
+ * Show or hide the batch progress and lock the batch buttons while matching
+ */
+function setBatchRunning(running) {
+  batchState.running = running;
+  batchProgress.style.display = running ? 'block' : 'none';
+  batchProgressBar.removeAttribute('value');
+  batchStatus.textContent = t('match.loading');
+  batchRunBtn.disabled = running;
+  batchExportBtn.disabled = running || batchState.rows.length === 0;
+}
+
+/**
+ * Render the batch table in the current sort order
+ */
+function renderBatchTable() {
+  const { sortKey, sortAscending } = batchState;
+  const rows = [...batchState.rows].sort((a, b) => {
+    const x = a[sortKey];
+    const y = b[sortKey];
+    // Rows without a value (errors) always sink to the bottom
+    const xEmpty = x === null || x === undefined || x === '';
+    const yEmpty = y === null || y === undefined || y === '';
+    if (xEmpty || yEmpty) {
+      return xEmpty - yEmpty;
+    }
+    const diff = typeof x === 'number' && typeof y === 'number'
+      ? x - y
+      : String(x).localeCompare(String(y));
+    return sortAscending ? diff : -diff;
   });
+
+  batchTableBody.innerHTML = '';
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    if (row.error) {
+      tr.className = 'batch-error-row';
+    }
+    tr.innerHTML = `
+      <td>${row.row}</td>
+      <td class="arabic-text"></td>
+      <td class="arabic-text"></td>
+      <td class="value">${row.totalValue === null ? '—' : row.totalValue}</td>
+      <td></td>
+    `;
+    // Names come from user input, so set them as text
+    tr.children[1].textContent = row.name;
+    tr.children[2].textContent = row.cleanedName;
+    tr.children[4].textContent = row.error ? `⚠️ ${row.error}` : row.matches;
+    batchTableBody.appendChild(tr);
+  }
+
+  for (const th of batchTable.querySelectorAll('th[data-sort]')) {
+    th.classList.toggle('sorted-asc', th.dataset.sort === sortKey && sortAscending);
+    th.classList.toggle('sorted-desc', th.dataset.sort === sortKey && !sortAscending);
+  }
+
+  const failed = batchState.rows.filter(row => row.error).length;
+  batchSummary.textContent = failed > 0
+    ? t('batch.summaryErrors', { count: batchState.rows.length, failed })
+    : t('batch.summary', { count: batchState.rows.length });
+  batchSummary.style.display = 'block';
+  batchTable.style.display = 'table';
+  batchExportBtn.disabled = batchState.rows.length === 0;
 }
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', async () => {
-    await waitForCalculator();
-    console.log('[OK] App initialized and ready');
-    emptyState.style.display = 'block';
+/**
+ * Download the batch results as CSV
+ */
+function handleBatchExport() {
+  const header = ['name', 'cleaned_name', 'total', 'match_type', 'matches', 'error'];
+  const lines = [header.join(',')];
+
+  for (const row of [...batchState.rows].sort((a, b) => a.row - b.row)) {
+    lines.push([
+      row.name, row.cleanedName, row.totalValue, row.matchType, row.matches, row.error
+    ].map(toCSVCell).join(','));
+  }
+
+  // BOM so spreadsheet apps read the Arabic script as UTF-8
+  const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'ism-e-azam-batch.csv';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Clear the batch panel
+ */
+function handleBatchClear() {
+  if (batchState.running) {
+    cancelMatching();
+  }
+  batchInput.value = '';
+  batchFile.value = '';
+  batchState.rows = [];
+  batchTableBody.innerHTML = '';
+  batchTable.style.display = 'none';
+  batchSummary.style.display = 'none';
+  batchExportBtn.disabled = true;
+}
+
+batchRunBtn.addEventListener('click', handleBatchRun);
+batchCancelBtn.addEventListener('click', cancelMatching);
+batchExportBtn.addEventListener('click', handleBatchExport);
+batchClearBtn.addEventListener('click', handleBatchClear);
+
+batchFile.addEventListener('change', () => {
+  const file = batchFile.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    batchInput.value = extractBatchNames(reader.result).join('\n');
+  };
+  reader.onerror = () => showError(t('batch.readError'));
+  reader.readAsText(file, 'UTF-8');
+});
+
+batchTable.querySelector('thead').addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (!th) return;
+  if (batchState.sortKey === th.dataset.sort) {
+    batchState.sortAscending = !batchState.sortAscending;
+  } else {
+    batchState.sortKey = th.dataset.sort;
+    batchState.sortAscending = true;
+  }
+  renderBatchTable();
+});
+
+// ========================================
+// MATCH FILTERS
+// ========================================
+
+// Divine Name IDs every match must include / may not include
+const matchFilters = {
+  required: [],
+  excluded: []
+};
+
+const filterCount = document.getElementById('filterCount');
+const requireSelect = document.getElementById('requireSelect');
+const excludeSelect = document.getElementById('excludeSelect');
+const requireChips = document.getElementById('requireChips');
+const excludeChips = document.getElementById('excludeChips');
+const minValueInput = document.getElementById('minValueInput');
+const maxValueInput = document.getElementById('maxValueInput');
+const allowRepeatCheckbox = document.getElementById('allowRepeatCheckbox');
+const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+
+const filterPickers = [
+  ['required', requireSelect, requireChips],
+  ['excluded', excludeSelect, excludeChips]
+];
+
+for (const [kind, select, chips] of filterPickers) {
+  select.addEventListener('change', () => {
+    if (select.value !== '') {
+      addFilterName(kind, Number(select.value));
+    }
+    select.value = '';
   });
-} else {
-  waitForCalculator().then(() => {
-    console.log('[OK] App initialized and ready');
-    emptyState.style.display = 'block';
+  chips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-chip');
+    if (!chip) return;
+    matchFilters[kind] = matchFilters[kind].filter(id => id !== Number(chip.dataset.id));
+    handleFiltersChange();
+  });
+}
+for (const field of [minValueInput, maxValueInput, allowRepeatCheckbox]) {
+  field.addEventListener('change', handleFiltersChange);
+}
+resetFiltersBtn.addEventListener('click', () => {
+  matchFilters.required = [];
+  matchFilters.excluded = [];
+  minValueInput.value = '';
+  maxValueInput.value = '';
+  allowRepeatCheckbox.checked = false;
+  handleFiltersChange();
+});
+
+/**
+ * List every Divine Name in the include/exclude pickers
+ */
+function populateNamePickers() {
+  const names = [...window.ism_e_azam_calculator_p.getDataLoader().divineNames].sort((a, b) => a.id - b.id);
+  for (const [, select] of filterPickers) {
+    select.length = 1;
+    for (const name of names) {
+      select.add(new Option(`${name.arabic_name} – ${name.english_name} (${name.abjad_value})`, name.id));
+    }
+  }
+  // Names missing from reloaded data can no longer be filtered on
+  const ids = new Set(names.map(name => name.id));
+  for (const [kind] of filterPickers) {
+    matchFilters[kind] = matchFilters[kind].filter(id => ids.has(id));
+  }
+  renderFilters();
+}
+
+/**
+ * Require or exclude a name, taking it off the other list
+ */
+function addFilterName(kind, id) {
+  const other = kind === 'required' ? 'excluded' : 'required';
+  matchFilters[other] = matchFilters[other].filter(existing => existing !== id);
+  if (!matchFilters[kind].includes(id)) {
+    matchFilters[kind].push(id);
+  }
+  handleFiltersChange();
+}
+
+/**
+ * Show the chosen names as removable chips and count the active filters
+ */
+function renderFilters() {
+  const loader = window.ism_e_azam_calculator_p.getDataLoader();
+  for (const [kind, , chips] of filterPickers) {
+    chips.innerHTML = '';
+    for (const id of matchFilters[kind]) {
+      const name = loader.divineNames.find(entry => entry.id === id);
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.dataset.id = id;
+      chip.textContent = `${name ? name.arabic_name : id} ×`;
+      chip.title = t('filters.remove', { name: name ? name.english_name : id });
+      chips.appendChild(chip);
+    }
+  }
+
+  const active = matchFilters.required.length + matchFilters.excluded.length +
+    [minValueInput.value, maxValueInput.value].filter(value => value !== '').length +
+    (allowRepeatCheckbox.checked ? 1 : 0);
+  filterCount.textContent = active > 0 ? t('filters.active', { count: active }) : '';
+}
+
+/**
+ * Redraw the filters and re-run the last calculation under them
+ */
+function handleFiltersChange() {
+  renderFilters();
+  if (appState.lastCalculatedName) {
+    handleCalculate();
+  }
+}
+
+/**
+ * matchDivineNames options for the filters
+ */
+function getFilterOptions() {
+  const bound = (input) => (input.value === '' ? undefined : Number(input.value));
+  return {
+    required: [...matchFilters.required],
+    excluded: [...matchFilters.excluded],
+    allowRepeat: allowRepeatCheckbox.checked,
+    minValue: bound(minValueInput),
+    maxValue: bound(maxValueInput)
+  };
+}
+
+// ========================================
+// MATCH WORKER
+// ========================================
+
+// Searches run in match-worker.js; without it (no Worker support, file://,
+// or its data failed to load) they run on this page instead
+const matchWorker = {
+  worker: null,
+  nextId: 1,
+  job: null
+};
+
+/**
+ * Start the match worker
+ */
+function startMatchWorker() {
+  if (typeof Worker === 'undefined') {
+    return;
+  }
+  try {
+    matchWorker.worker = new Worker('match-worker.js');
+  } catch (error) {
+    console.log('[INFO] Match worker unavailable, matching on the page:', error.message);
+    return;
+  }
+  matchWorker.worker.addEventListener('message', handleWorkerMessage);
+  matchWorker.worker.addEventListener('error', (event) => {
+    console.log('[INFO] Match worker failed, matching on the page:', event.message);
+    stopMatchWorker();
   });
 }
+
+/**
+ * Shut the worker down and finish its job, if any, on the page
+ */
+function stopMatchWorker() {
+  if (matchWorker.worker) {
+    matchWorker.worker.terminate();
+    matchWorker.worker = null;
+  }
+  const job = matchWorker.job;
+  if (job) {
+    matchWorker.job = null;
+    job.resolve(matchOnPage(job.values, job.options));
+  }
+}
+
+/**
+ * Route a message from the worker to the job it belongs to
+ */
+function handleWorkerMessage(event) {
+  const message = event.data;
+
+  if (message.type === 'error') {
+    console.log('[INFO] Match worker could not load its data:', message.message);
+    stopMatchWorker();
+    return;
+  }
+
+  const job = matchWorker.job;
+  if (!job || message.id !== job.id) {
+    return;
+  }
+  if (message.type === 'progress') {
+    job.onProgress(message);
+  } else if (message.type === 'result') {
+    matchWorker.job = null;
+    job.resolve(message.results);
+  }
+}
+
+/**
+ * matchDivineNames for each value, on this page
+ */
+function matchOnPage(values, options) {
+  return values.map(value => window.ism_e_azam_calculator_p.matchDivineNames(value, options));
+}
+
+/**
+ * Match several values with the form's options, cancelling any search
+ * already running
+ * @param {Array<number>} values - Abjad values to match
+ * @param {Function} onProgress - Called with each worker 'progress' message
+ * @param {Object} [extra] - Options added to the form's, e.g. { offset }
+ * @returns {Promise<Array|null>} One matchDivineNames result per value, or
+ *   null when the search is cancelled first
+ */
+function matchValues(values, onProgress, extra = {}) {
+  cancelMatching();
+  const options = { ...getMatchOptions(), ...extra, locale: window.ism_e_azam_calculator_p.getLocale() };
+
+  if (!matchWorker.worker) {
+    return Promise.resolve(matchOnPage(values, options));
+  }
+
+  return new Promise((resolve) => {
+    const id = matchWorker.nextId++;
+    matchWorker.job = { id, values, options, onProgress, resolve };
+    matchWorker.worker.postMessage({ type: 'match', id, values, options });
+  });
+}
+
+/**
+ * Cancel the running search, if any
+ * @returns {boolean} Whether a search was cancelled
+ */
+function cancelMatching() {
+  const job = matchWorker.job;
+  if (!job) {
+    return false;
+  }
+  matchWorker.job = null;
+  matchWorker.worker.postMessage({ type: 'cancel', id: job.id });
+  job.resolve(null);
+  return true;
+}
+
+/**
+ * Progress handler for one calculation: moves the progress bar and shows
+ * the total's combinations as they are found
+ * @param {Object} [options] - { showPartial: false to leave the match card as it is }
+ */
+function createMatchProgress(abjadValue, { showPartial = true } = {}) {
+  const startTime = performance.now();
+  let partial = null;
+
+  return (message) => {
+    const percent = Math.round(message.fraction * 100);
+    loadingProgress.value = percent;
+    loadingStatus.textContent = message.count > 1
+      ? t('match.progressParts', { index: message.index + 1, count: message.count, percent })
+      : t('match.progress', { size: message.nameCount, percent });
+
+    if (!showPartial || message.index !== 0 || message.combinations.length === 0) {
+      return;
+    }
+    if (!partial || partial.nameCount !== message.nameCount) {
+      partial = { type: 'multi_name_combination', found: true, abjadValue, nameCount: message.nameCount, combinations: [] };
+    }
+    partial.combinations.push(...message.combinations);
+    partial.count = partial.combinations.length;
+    partial.responseTimeMs = performance.now() - startTime;
+    displayMatchResults(partial);
+  };
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+/**
+ * Enable calculating once the data is loaded, and again after any reload
+ */
+function initializeDataLifecycle() {
+  const calculator = window.ism_e_azam_calculator_p;
+
+  calculator.on('loaded', () => {
+    appState.dataReady = true;
+    calculateBtn.disabled = appState.isLoading;
+    populateNamePickers();
+  });
+  calculator.on('error', () => {
+    // A failed reload keeps the previous data usable
+    appState.dataReady = calculator.getDataLoader().loaded;
+    calculateBtn.disabled = !appState.dataReady;
+  });
+
+  calculator.ready()
+    .then(() => {
+      appState.dataReady = true;
+      calculateBtn.disabled = false;
+      console.log('[OK] App initialized and ready');
+      emptyState.style.display = 'block';
+      populateNamePickers();
+      restoreFromPermalink();
+    })
+    .catch((error) => {
+      console.error('[ERROR] Calculator data is not available:', error.message);
+    });
+}
+
+initializeDataLifecycle();
+startMatchWorker();
+
+// ========================================
+// OFFLINE SUPPORT
+// ========================================
+
+const offlineStatus = document.getElementById('offlineStatus');
+const installBtn = document.getElementById('installBtn');
+let deferredInstallPrompt = null;
+
+/**
+ * Ask the service worker which app and data versions it has cached
+ */
+function getCacheInfo(worker) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data);
+    worker.postMessage({ type: 'GET_CACHE_INFO' }, [channel.port2]);
+  });
+}
+
+/**
+ * Show whether the calculator works offline and which data it holds
+ */
+async function renderOfflineStatus() {
+  const registration = await navigator.serviceWorker.ready;
+  const info = await getCacheInfo(registration.active);
+
+  if (!info.cached) {
+    offlineStatus.textContent = t('offline.saving');
+  } else {
+    const cachedAt = info.cachedAt ? new Date(info.cachedAt).toLocaleDateString(getLanguage()) : t('offline.unknownDate');
+    offlineStatus.textContent = t('offline.summary', {
+      status: t(navigator.onLine ? 'offline.available' : 'offline.offline'),
+      data: info.dataVersion,
+      names: info.names,
+      date: cachedAt,
+      app: info.cacheVersion
+    });
+  }
+  offlineStatus.style.display = 'block';
+}
+
+/**
+ * Register the service worker. Only over http(s): browsers refuse it for file:// pages.
+ */
+function initializeOfflineSupport() {
+  if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) {
+    return;
+  }
+
+  navigator.serviceWorker.register('sw.js')
+    .then(renderOfflineStatus)
+    .catch(error => console.log('[INFO] Offline support unavailable:', error.message));
+
+  window.addEventListener('online', renderOfflineStatus);
+  window.addEventListener('offline', renderOfflineStatus);
+}
+
+window.addEventListener('beforeinstallprompt', (e) => {
+  // Keep the browser's prompt for our own Install button
+  e.preventDefault();
+  deferredInstallPrompt = e;
+  installBtn.style.display = '';
+});
+
+installBtn.addEventListener('click', async () => {
+  if (!deferredInstallPrompt) return;
+  deferredInstallPrompt.prompt();
+  await deferredInstallPrompt.userChoice;
+  deferredInstallPrompt = null;
+  installBtn.style.display = 'none';
+});
+
+window.addEventListener('appinstalled', () => {
+  installBtn.style.display = 'none';
+});
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeOfflineSupport);
+} else {
+  initializeOfflineSupport();
+}
+
 // ========================================
 // VISITOR COUNT LOGIC (GLOBAL)
 // ========================================
@@ -394,11 +2320,15 @@ if (document.readyState === 'loading') {
 // Initialize keyboard modal
 function initializeUrduKeyboard() {
   const keyboardBtn = document.getElementById('keyboardBtn');
+  const motherKeyboardBtn = document.getElementById('motherKeyboardBtn');
   const keyboardModal = document.getElementById('keyboardModal');
   const closeKeyboardBtn = document.getElementById('closeKeyboardBtn');
   const keyboardOverlay = document.querySelector('.keyboard-overlay');
   const keyboardLayout = document.getElementById('keyboardLayout');
 
+  // The name field the keyboard types into
+  let keyboardTarget = nameInput;
+
   // Urdu alphabet characters
   const urduChars = [
       'ا', 'ب', 'پ', 'ت', 'ٹ', 'ث', 'ج', 'چ', 'ح', 'خ', 
@@ -464,21 +2394,21 @@ function initializeUrduKeyboard() {
              backBtn.innerHTML = '⌫';
              backBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                const start = (typeof nameInput.selectionStart === 'number') ? nameInput.selectionStart : 0;
-                const end = (typeof nameInput.selectionEnd === 'number') ? nameInput.selectionEnd : start;
+                const start = (typeof keyboardTarget.selectionStart === 'number') ? keyboardTarget.selectionStart : 0;
+                const end = (typeof keyboardTarget.selectionEnd === 'number') ? keyboardTarget.selectionEnd : start;
                 if (start === end) {
                     if (start > 0) {
-                        nameInput.value = nameInput.value.slice(0, start - 1) + nameInput.value.slice(end);
+                        keyboardTarget.value = keyboardTarget.value.slice(0, start - 1) + keyboardTarget.value.slice(end);
                         try { 
-                            nameInput.focus();
-                            nameInput.setSelectionRange(start - 1, start - 1);
+                            keyboardTarget.focus();
+                            keyboardTarget.setSelectionRange(start - 1, start - 1);
                         } catch (e) {}
                     }
                 } else {
-                    nameInput.value = nameInput.value.slice(0, start) + nameInput.value.slice(end);
+                    keyboardTarget.value = keyboardTarget.value.slice(0, start) + keyboardTarget.value.slice(end);
                     try { 
-                        nameInput.focus();
-                        nameInput.setSelectionRange(start, start);
+                        keyboardTarget.focus();
+                        keyboardTarget.setSelectionRange(start, start);
                     } catch (e) {}
                 }
              });
@@ -495,7 +2425,8 @@ function initializeUrduKeyboard() {
     const spaceBtn = document.createElement('button');
     spaceBtn.type = 'button';
     spaceBtn.className = 'keyboard-key key-space';
-    spaceBtn.textContent = 'Space';
+    spaceBtn.dataset.i18n = 'keyboard.space';
+    spaceBtn.textContent = t('keyboard.space');
     spaceBtn.addEventListener('click', (e) => {
       e.preventDefault();
       insertCharacter(' ');
@@ -506,7 +2437,8 @@ function initializeUrduKeyboard() {
     const enterBtn = document.createElement('button');
     enterBtn.type = 'button';
     enterBtn.className = 'keyboard-key key-enter';
-    enterBtn.textContent = 'Enter';
+    enterBtn.dataset.i18n = 'keyboard.enter';
+    enterBtn.textContent = t('keyboard.enter');
     enterBtn.addEventListener('click', (e) => {
       e.preventDefault();
       if (typeof calculateBtn !== 'undefined' && calculateBtn) {
@@ -524,35 +2456,37 @@ function initializeUrduKeyboard() {
 
   // Insert character at cursor position
   function insertCharacter(char) {
-    const start = (typeof nameInput.selectionStart === 'number') ? nameInput.selectionStart : nameInput.value.length;
-    const end = (typeof nameInput.selectionEnd === 'number') ? nameInput.selectionEnd : start;
-    const text = nameInput.value || '';
-    nameInput.value = text.substring(0, start) + char + text.substring(end);
+    const start = (typeof keyboardTarget.selectionStart === 'number') ? keyboardTarget.selectionStart : keyboardTarget.value.length;
+    const end = (typeof keyboardTarget.selectionEnd === 'number') ? keyboardTarget.selectionEnd : start;
+    const text = keyboardTarget.value || '';
+    keyboardTarget.value = text.substring(0, start) + char + text.substring(end);
     try { 
-        nameInput.focus();
-        nameInput.setSelectionRange(start + char.length, start + char.length);
+        keyboardTarget.focus();
+        keyboardTarget.setSelectionRange(start + char.length, start + char.length);
     } catch (e) {}
   }
 
-  // Open keyboard
-  function openKeyboard() {
+  // Open keyboard for a name field
+  function openKeyboard(target) {
     if (!keyboardModal) return;
+    keyboardTarget = target;
     // Set inputmode to none to prevent system keyboard, but keep focus/caret working
-    try { nameInput.setAttribute('inputmode', 'none'); } catch (e) {}
+    try { keyboardTarget.setAttribute('inputmode', 'none'); } catch (e) {}
     keyboardModal.classList.add('open');
     buildKeyboard();
-    nameInput.focus();
+    keyboardTarget.focus();
   }
 
   // Close keyboard
   function closeKeyboard() {
     if (!keyboardModal) return;
-    try { nameInput.removeAttribute('inputmode'); } catch (e) {}
+    try { keyboardTarget.removeAttribute('inputmode'); } catch (e) {}
     keyboardModal.classList.remove('open');
   }
 
   // Event listeners
-  if (keyboardBtn) keyboardBtn.addEventListener('click', openKeyboard);
+  if (keyboardBtn) keyboardBtn.addEventListener('click', () => openKeyboard(nameInput));
+  if (motherKeyboardBtn) motherKeyboardBtn.addEventListener('click', () => openKeyboard(motherNameInput));
   if (closeKeyboardBtn) closeKeyboardBtn.addEventListener('click', closeKeyboard);
   if (keyboardOverlay) keyboardOverlay.addEventListener('click', closeKeyboard);
 
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * ISM-E-AZAM CALCULATOR - Matcher Benchmark
+ * Times how long NameMatcher takes to build its lookup tables and how long
+ * each kind of query takes, next to the responseTimeMs the results report
+ *
+ * Usage:
+ *   node benchmark.js [--from <n>] [--to <n>] [--builds <n>] [--json]
+ */
+
+const path = require('path');
+
+const calculator = require('./calculator');
+const { loadCalculator } = require('./cli');
+
+const USAGE = `Usage: node benchmark.js [options]
+
+Builds the matcher repeatedly, then runs every query type for each value in a range.
+
+Options:
+      --from <n>     First abjad value to query (default 1)
+      --to <n>       Last abjad value to query (default 3000)
+      --builds <n>   Times to rebuild the matcher tables (default 20)
+      --json         Print results as JSON instead of a table
+  -d, --data <dir>   Directory holding the data bundles (default ./data)
+  -h, --help         Show this help`;
+
+// Queries timed for every value; each returns a result with responseTimeMs
+const QUERIES = [
+  ['direct', (matcher, value) => matcher.findDirectMatch(value)],
+  ['pairs', (matcher, value) => matcher.findTwoNameCombination(value)],
+  ['triples', (matcher, value) => matcher.findCombinations(value, 3)],
+  ['four names', (matcher, value) => matcher.findCombinations(value, 4)],
+  ['nearest', (matcher, value) => matcher.findNearest(value)],
+  ['findMatch (2)', (matcher, value) => matcher.findMatch(value, 2)],
+  ['findMatch (3)', (matcher, value) => matcher.findMatch(value, 3)]
+];
+
+// ========================================
+// ARGUMENT PARSING
+// ========================================
+
+/**
+ * Parse command-line arguments into options
+ */
+function parseArgs(argv) {
+  const options = {
+    from: 1,
+    to: 3000,
+    builds: 20,
+    json: false,
+    dataDir: path.join(__dirname, 'data'),
+    help: false
+  };
+
+  const takeNumber = (flag, i) => {
+    const value = parseInt(argv[i + 1]);
+    if (isNaN(value) || value < 1) {
+      throw new Error(`Option ${flag} needs a positive number`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--from': options.from = takeNumber(arg, i++); break;
+      case '--to': options.to = takeNumber(arg, i++); break;
+      case '--builds': options.builds = takeNumber(arg, i++); break;
+      case '--json': options.json = true; break;
+      case '-d': case '--data':
+        if (i + 1 >= argv.length) {
+          throw new Error(`Option ${arg} needs a value`);
+        }
+        options.dataDir = argv[++i];
+        break;
+      case '-h': case '--help': options.help = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (options.from > options.to) {
+    throw new Error('--from must not be greater than --to');
+  }
+  return options;
+}
+
+// ========================================
+// MEASUREMENT
+// ========================================
+
+/**
+ * Mean, median, 95th percentile and maximum of a list of timings
+ */
+function summarize(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  return {
+    meanMs: sorted.reduce((sum, time) => sum + time, 0) / sorted.length,
+    p50Ms: at(0.5),
+    p95Ms: at(0.95),
+    maxMs: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Rebuild the matcher tables `count` times
+ */
+function benchmarkBuild(count) {
+  const times = [];
+  let matcher;
+  for (let i = 0; i < count; i++) {
+    matcher = new calculator.NameMatcher();
+    times.push(matcher.buildTimeMs);
+  }
+
+  const tables = {};
+  for (const [size, table] of Object.entries(matcher.sumTables)) {
+    let combinations = 0;
+    for (const runs of table.values()) {
+      combinations += runs.length / Number(size);
+    }
+    tables[size] = { totals: table.size, combinations };
+  }
+
+  return { builds: count, names: matcher.names.length, ...summarize(times), tables, matcher };
+}
+
+/**
+ * Run one query for every value in the range, timing each call and
+ * collecting the responseTimeMs it reports
+ */
+function benchmarkQuery(matcher, run, from, to) {
+  const wall = [];
+  const reported = [];
+  let found = 0;
+
+  for (let value = from; value <= to; value++) {
+    const startTime = performance.now();
+    const result = run(matcher, value);
+    wall.push(performance.now() - startTime);
+    reported.push(result.responseTimeMs);
+    if (result.found || result.hasSuggestions) {
+      found++;
+    }
+  }
+
+  return {
+    queries: wall.length,
+    found,
+    wall: summarize(wall),
+    responseTime: summarize(reported)
+  };
+}
+
+// ========================================
+// OUTPUT
+// ========================================
+
+/**
+ * Format a time in milliseconds for the table
+ */
+function ms(value) {
+  return value < 1 ? `${(value * 1000).toFixed(1)} µs` : `${value.toFixed(2)} ms`;
+}
+
+/**
+ * Print the benchmark as a table
+ */
+function printReport(report) {
+  const { build } = report;
+  console.log(`Matcher build: ${build.names} names, ${build.builds} builds`);
+  console.log(`  mean ${ms(build.meanMs)}, median ${ms(build.p50Ms)}, max ${ms(build.maxMs)}`);
+  for (const [size, table] of Object.entries(build.tables)) {
+    console.log(`  ${size}-name table: ${table.combinations} sets over ${table.totals} totals`);
+  }
+
+  console.log(`\nQueries for values ${report.from}-${report.to} (wall time | reported responseTimeMs)`);
+  const header = ['Query', 'Found', 'Mean', 'Median', 'p95', 'Max', 'Reported mean', 'Reported p95'];
+  const rows = report.queries.map(query => [
+    query.name,
+    String(query.found),
+    ms(query.wall.meanMs),
+    ms(query.wall.p50Ms),
+    ms(query.wall.p95Ms),
+    ms(query.wall.maxMs),
+    ms(query.responseTime.meanMs),
+    ms(query.responseTime.p95Ms)
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log('  ' + row.map((cell, i) => cell.padEnd(widths[i])).join('  '));
+  }
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    loadCalculator(options.dataDir);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    return 2;
+  }
+
+  const { matcher, ...build } = benchmarkBuild(options.builds);
+  const report = {
+    build,
+    from: options.from,
+    to: options.to,
+    queries: QUERIES.map(([name, run]) => ({ name, ...benchmarkQuery(matcher, run, options.from, options.to) }))
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, benchmarkBuild, benchmarkQuery, main };
@@ -0,0 +1,285 @@
+/**
+ * ISM-E-AZAM CALCULATOR - Asma-ul-Husna Catalogue
+ * Lists every Divine Name from the same data as the calculator, with
+ * search, value filters, sorting and a detail view per name.
+ */
+
+// ========================================
+// STATE & DOM ELEMENTS
+// ========================================
+
+const catalogueState = {
+  // ID of the name shown in the detail view, or null
+  selectedId: null
+};
+
+const catalogueSearch = document.getElementById('catalogueSearch');
+const catalogueMinValue = document.getElementById('catalogueMinValue');
+const catalogueMaxValue = document.getElementById('catalogueMaxValue');
+const catalogueSort = document.getElementById('catalogueSort');
+const catalogueDescending = document.getElementById('catalogueDescending');
+const catalogueCount = document.getElementById('catalogueCount');
+const catalogueTableBody = document.getElementById('catalogueTableBody');
+const nameDetail = document.getElementById('nameDetail');
+const errorMessage = document.getElementById('errorMessage');
+
+// ========================================
+// EVENT LISTENERS
+// ========================================
+
+catalogueSearch.addEventListener('input', renderCatalogue);
+for (const field of [catalogueMinValue, catalogueMaxValue, catalogueSort, catalogueDescending]) {
+  field.addEventListener('change', renderCatalogue);
+}
+catalogueTableBody.addEventListener('click', (e) => {
+  const row = e.target.closest('tr[data-id]');
+  if (row) {
+    selectName(Number(row.dataset.id));
+  }
+});
+nameDetail.addEventListener('click', (e) => {
+  if (e.target.closest('.detail-close')) {
+    selectName(null);
+    return;
+  }
+  const link = e.target.closest('.related-link');
+  if (link) {
+    selectName(Number(link.dataset.id));
+  }
+});
+window.addEventListener('hashchange', restoreFromHash);
+document.addEventListener('uilanguagechange', () => {
+  localizeSortLabels();
+  renderCatalogue();
+  renderDetail();
+});
+
+// ========================================
+// CATALOGUE LIST
+// ========================================
+
+/**
+ * Name the sort orders in the current language
+ */
+function localizeSortLabels() {
+  const calculator = window.ism_e_azam_calculator_p;
+  const labels = new Map(calculator.listCatalogueSorts(getLanguage()).map(order => [order.key, order.label]));
+  for (const option of catalogueSort.options) {
+    option.textContent = labels.get(option.value) || option.textContent;
+  }
+}
+
+/**
+ * List the names matching the search and filters
+ */
+function renderCatalogue() {
+  const calculator = window.ism_e_azam_calculator_p;
+  if (!calculator.getDataLoader().loaded) {
+    return;
+  }
+
+  const result = calculator.browseDivineNames({
+    query: catalogueSearch.value,
+    minValue: catalogueMinValue.value,
+    maxValue: catalogueMaxValue.value,
+    sort: catalogueSort.value,
+    descending: catalogueDescending.checked,
+    locale: getLanguage()
+  });
+
+  catalogueTableBody.innerHTML = '';
+  if (!result.success) {
+    showError(result.error);
+    catalogueCount.textContent = '';
+    return;
+  }
+  clearError();
+
+  catalogueCount.textContent = result.count > 0
+    ? t('browse.count', { count: result.count, total: result.total })
+    : t('browse.none');
+
+  for (const name of result.names) {
+    const row = document.createElement('tr');
+    row.className = 'catalogue-row';
+    row.dataset.id = name.id;
+    row.classList.toggle('selected', name.id === catalogueState.selectedId);
+    row.innerHTML = `
+      <td>${name.id}</td>
+      <td class="character">${name.arabic_name}</td>
+      <td>${name.english_name}</td>
+      <td lang="ur">${name.meaning}</td>
+      <td class="value">${name.abjad_value}</td>
+    `;
+    catalogueTableBody.appendChild(row);
+  }
+}
+
+// ========================================
+// DETAIL VIEW
+// ========================================
+
+/**
+ * Show one name in detail (null closes the view) and keep it in the address bar
+ */
+function selectName(nameId) {
+  catalogueState.selectedId = nameId;
+  const hash = nameId === null ? '' : `#name=${nameId}`;
+  if (location.hash !== hash) {
+    history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+  }
+
+  for (const row of catalogueTableBody.querySelectorAll('tr[data-id]')) {
+    row.classList.toggle('selected', Number(row.dataset.id) === nameId);
+  }
+  renderDetail();
+  if (nameId !== null) {
+    nameDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+/**
+ * Open the name given in the address bar, if any
+ */
+function restoreFromHash() {
+  const match = location.hash.match(/^#name=(\d+)$/);
+  catalogueState.selectedId = match ? Number(match[1]) : null;
+  renderCatalogue();
+  renderDetail();
+}
+
+/**
+ * Draw the detail view for the selected name: its letters, and the names
+ * that share or complete its value
+ */
+function renderDetail() {
+  const calculator = window.ism_e_azam_calculator_p;
+  if (catalogueState.selectedId === null || !calculator.getDataLoader().loaded) {
+    nameDetail.style.display = 'none';
+    nameDetail.innerHTML = '';
+    return;
+  }
+
+  const detail = calculator.describeDivineName(catalogueState.selectedId, { locale: getLanguage() });
+  nameDetail.style.display = 'block';
+  if (!detail.success) {
+    nameDetail.innerHTML = '<p class="error-message"></p>';
+    nameDetail.firstElementChild.textContent = detail.error;
+    return;
+  }
+
+  const { name, calculation } = detail;
+  const category = name.category
+    ? calculator.Messages.label('category', name.category, name.category, getLanguage())
+    : '';
+
+  nameDetail.innerHTML = `
+    <div class="detail-header">
+      <h3><span class="arabic-name">${name.arabic_name}</span> ${name.english_name}</h3>
+      <button type="button" class="btn btn-secondary detail-close">${t('browse.close')}</button>
+    </div>
+    <p lang="ur">${name.meaning}</p>
+    <p class="help-text">${category ? t('browse.category', { category }) + ' | ' : ''}${t('browse.value', { value: name.abjad_value })}</p>
+    <h4>${t('browse.breakdownHeading')}</h4>
+    ${renderDetailBreakdown(name, calculation)}
+    <h4>${t('browse.sharedHeading', { value: name.abjad_value })}</h4>
+    ${renderRelatedList(detail.sharedValue.map(other => relatedLink(other)), t('browse.sharedNone'))}
+    <h4>${t('browse.complementsHeading')}</h4>
+    <p class="help-text">${t('browse.complementsHelp', { name: name.arabic_name })}</p>
+    ${renderRelatedList(detail.complements.map(({ name: other, makes }) =>
+      `${name.arabic_name} + ${relatedLink(other)} = ${relatedLink(makes)}`), t('browse.complementsNone'))}
+  `;
+}
+
+/**
+ * Letter-by-letter table for a name, with notes on what was counted
+ */
+function renderDetailBreakdown(name, calculation) {
+  if (!calculation.success) {
+    return `<p class="error-message">${calculation.errors.join(', ')}</p>`;
+  }
+
+  const notes = [];
+  if (calculation.articleExcluded) {
+    notes.push(t('browse.articleNote'));
+  }
+  if (!calculation.matchesRecorded) {
+    notes.push(t('browse.mismatchNote', { recorded: name.abjad_value, computed: calculation.totalValue }));
+  }
+
+  const rows = calculation.characterBreakdown.map(item => `
+      <tr>
+        <td>${item.position}</td>
+        <td class="character">${item.character}</td>
+        <td class="value">${item.value}</td>
+      </tr>`).join('');
+
+  return `
+    <table class="breakdown-table">
+      <thead>
+        <tr>
+          <th>${t('breakdown.position')}</th>
+          <th>${t('breakdown.character')}</th>
+          <th>${t('breakdown.value')}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr>
+          <td colspan="2">${t('browse.total')}</td>
+          <td class="value">${calculation.totalValue}</td>
+        </tr>
+      </tfoot>
+    </table>
+    ${notes.map(note => `<p class="help-text">${note}</p>`).join('')}
+  `;
+}
+
+/**
+ * Button opening another name's detail view
+ */
+function relatedLink(name) {
+  return `<button type="button" class="related-link" data-id="${name.id}">${name.arabic_name} (${name.abjad_value})</button>`;
+}
+
+/**
+ * List of related entries, or a note when there are none
+ */
+function renderRelatedList(items, emptyText) {
+  if (items.length === 0) {
+    return `<p class="help-text">${emptyText}</p>`;
+  }
+  return `<ul class="related-list">${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+}
+
+// ========================================
+// UI UTILITIES
+// ========================================
+
+function showError(message) {
+  errorMessage.textContent = message;
+  errorMessage.style.display = 'block';
+}
+
+function clearError() {
+  errorMessage.textContent = '';
+  errorMessage.style.display = 'none';
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+
+localizeSortLabels();
+
+window.ism_e_azam_calculator_p.ready()
+  .then(restoreFromHash)
+  .catch(() => {
+    // data-loader.js has already shown why the data did not load
+  });
+
+// Redraw after the data is reloaded
+window.ism_e_azam_calculator_p.on('loaded', () => {
+  renderCatalogue();
+  renderDetail();
+});
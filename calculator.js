@@ -5,6 +5,208 @@
  * This is a complete client-side implementation without backend server requirements
  */
 
+// ============================================================================
+// MESSAGES MODULE
+// ============================================================================
+
+class Messages {
+  /**
+   * Locales the library can report messages in
+   */
+  static LOCALES = {
+    en: 'English',
+    ur: 'اردو',
+  };
+
+  static DEFAULT_LOCALE = 'en';
+
+  /**
+   * Message and label catalogue. Placeholders are written {name}.
+   */
+  static CATALOGUE = {
+    en: {
+      EMPTY_INPUT: 'Empty input',
+      SYSTEM_UNKNOWN: "Unknown abjad system '{system}'",
+      PROFILE_UNKNOWN: "Unknown normalization profile '{profile}'",
+      SHADDA_UNKNOWN: "Unknown shadda policy '{policy}'",
+      SHADDA_COUNTED: 'Shadda letters counted {policy}',
+      DIACRITICS_REMOVED: 'Diacritical marks removed',
+      VARIANTS_NORMALIZED: 'Character variants normalized',
+      ONLY_HONORIFICS: 'Name consists only of titles/castes; nothing was excluded',
+      HONORIFICS_EXCLUDED: 'Titles/castes excluded: {words}',
+      PROFILE_APPLIED: 'Hamza/Urdu letters normalized ({profile} profile)',
+      NON_ARABIC_CHARS: 'Non-Arabic characters found: {chars}',
+      NON_ARABIC_MORE: '{chars} and {count} more',
+      NO_VALID_CHARS: 'No valid Arabic/Urdu characters found',
+      INPUT_EMPTY: 'Input name is empty',
+      INPUT_NOT_STRING: 'Input must be string, got {type}',
+      CHAR_NOT_IN_TABLE: "Character '{char}' at position {position} not found in Abjad table",
+      NO_VALID_LETTERS: 'No valid Arabic letters found in input',
+      INVALID_INPUT: 'Invalid input: {errors}',
+      NOT_LATIN: 'Input must be written in Latin letters',
+      NO_SPELLING: 'No Arabic-script spelling could be produced',
+      VALUE_REQUIRED: 'Abjad value is required',
+      VALUE_NOT_NUMBER: 'Abjad value must be a number',
+      MAX_NAMES_RANGE: 'maxNames must be between 1 and {max}',
+      TOLERANCE_INVALID: 'tolerance must be a non-negative number',
+      DATA_NOT_LOADED: 'The Divine Names data has not finished loading',
+      SORT_UNKNOWN: "Unknown sort '{sort}'; use one of {sorts}",
+      PAGE_INVALID: 'offset must be a whole number of 0 or more, and limit between 1 and {max}',
+      NAME_ID_UNKNOWN: 'No Divine Name has id {id}',
+      NAME_REQUIRED_EXCLUDED: '{name} cannot be both required and excluded',
+      NAME_REQUIRED_OUT_OF_RANGE: '{name} is required, but its value {value} is outside the allowed range',
+      REQUIRED_TOO_MANY: 'Cannot require {count} names in combinations of at most {max}',
+      VALUE_RANGE_INVALID: 'minValue and maxValue must be numbers, with minValue no larger than maxValue',
+      PART_MESSAGE: '{part}: {message}',
+      LIST_SEPARATOR: ', ',
+      'shadda.once': 'once',
+      'shadda.twice': 'twice',
+      'profile.classical': 'Classical Arabic',
+      'profile.urdu': 'Urdu Traditional',
+      'profile.strict': 'Strict',
+      'system.mashriqi': 'Mashriqi (Eastern)',
+      'system.maghribi': 'Maghribi (Western)',
+      'mode.kabir': 'Abjad Kabir',
+      'mode.saghir': 'Abjad Saghir',
+      'mode.wasit': 'Abjad Wasit',
+      'mode.akbar': 'Abjad Akbar (Bast)',
+      'part.name': 'Name',
+      'part.mother': "Mother's name",
+      'ranking.id': 'Name order',
+      'ranking.balanced': 'Balanced values',
+      'ranking.allah': 'Including Allah',
+      'ranking.category': 'Shared meaning',
+      'ranking.letters': 'Fewest letters',
+      'catalogueSort.id': 'Traditional order',
+      'catalogueSort.value': 'Abjad value',
+      'catalogueSort.arabic': 'Arabic name',
+      'catalogueSort.english': 'Transliteration',
+      'category.oneness': 'Oneness & Holiness',
+      'category.mercy': 'Mercy & Love',
+      'category.forgiveness': 'Forgiveness',
+      'category.majesty': 'Majesty & Greatness',
+      'category.sovereignty': 'Sovereignty & Power',
+      'category.creation': 'Creation & Life',
+      'category.provision': 'Provision & Generosity',
+      'category.knowledge': 'Knowledge & Wisdom',
+      'category.justice': 'Justice & Decree',
+      'category.protection': 'Protection & Guidance',
+    },
+    ur: {
+      EMPTY_INPUT: 'نام خالی ہے',
+      SYSTEM_UNKNOWN: "ابجد نظام '{system}' معلوم نہیں",
+      PROFILE_UNKNOWN: "املا کا طریقہ '{profile}' معلوم نہیں",
+      SHADDA_UNKNOWN: "تشدید کا اصول '{policy}' معلوم نہیں",
+      SHADDA_COUNTED: 'تشدید والے حروف {policy} گنے گئے',
+      DIACRITICS_REMOVED: 'اعراب ہٹا دیے گئے',
+      VARIANTS_NORMALIZED: 'حروف کی مختلف شکلیں یکساں کر دی گئیں',
+      ONLY_HONORIFICS: 'نام صرف القاب/ذات پر مشتمل ہے، اس لیے کچھ خارج نہیں کیا گیا',
+      HONORIFICS_EXCLUDED: 'خارج کیے گئے القاب/ذات: {words}',
+      PROFILE_APPLIED: 'ہمزہ/اردو حروف یکساں کیے گئے ({profile})',
+      NON_ARABIC_CHARS: 'غیر عربی حروف ملے: {chars}',
+      NON_ARABIC_MORE: '{chars} اور {count} مزید',
+      NO_VALID_CHARS: 'کوئی درست عربی/اردو حرف نہیں ملا',
+      INPUT_EMPTY: 'نام خالی ہے',
+      INPUT_NOT_STRING: 'نام متن ہونا چاہیے، {type} ملا',
+      CHAR_NOT_IN_TABLE: "حرف '{char}' (مقام {position}) ابجد جدول میں موجود نہیں",
+      NO_VALID_LETTERS: 'نام میں کوئی درست عربی حرف نہیں ملا',
+      INVALID_INPUT: 'غلط اندراج: {errors}',
+      NOT_LATIN: 'نام لاطینی (انگریزی) حروف میں لکھیں',
+      NO_SPELLING: 'عربی رسم الخط میں کوئی ہجے نہیں بن سکے',
+      VALUE_REQUIRED: 'ابجد عدد درکار ہے',
+      VALUE_NOT_NUMBER: 'ابجد عدد ایک نمبر ہونا چاہیے',
+      MAX_NAMES_RANGE: 'ناموں کی تعداد 1 سے {max} کے درمیان ہونی چاہیے',
+      TOLERANCE_INVALID: 'قریبی فرق صفر یا اس سے زیادہ ہونا چاہیے',
+      DATA_NOT_LOADED: 'اسمائے الٰہی کا ڈیٹا ابھی لوڈ ہو رہا ہے',
+      SORT_UNKNOWN: "ترتیب '{sort}' معلوم نہیں؛ ان میں سے ایک چنیں: {sorts}",
+      PAGE_INVALID: 'آغاز صفر یا اس سے بڑا پورا عدد اور تعداد 1 سے {max} کے درمیان ہونی چاہیے',
+      NAME_ID_UNKNOWN: 'شناخت {id} کا کوئی اسمِ الٰہی موجود نہیں',
+      NAME_REQUIRED_EXCLUDED: '{name} بیک وقت لازمی اور خارج نہیں ہو سکتا',
+      NAME_REQUIRED_OUT_OF_RANGE: '{name} لازمی ہے، مگر اس کا عدد {value} اجازت شدہ حد سے باہر ہے',
+      REQUIRED_TOO_MANY: 'زیادہ سے زیادہ {max} ناموں کے مجموعے میں {count} نام لازمی نہیں ہو سکتے',
+      VALUE_RANGE_INVALID: 'کم از کم اور زیادہ سے زیادہ عدد نمبر ہوں، اور کم از کم عدد زیادہ سے زیادہ سے بڑا نہ ہو',
+      PART_MESSAGE: '{part}: {message}',
+      LIST_SEPARATOR: '، ',
+      'shadda.once': 'ایک بار',
+      'shadda.twice': 'دو بار',
+      'profile.classical': 'کلاسیکی عربی',
+      'profile.urdu': 'روایتی اردو',
+      'profile.strict': 'سخت',
+      'system.mashriqi': 'مشرقی',
+      'system.maghribi': 'مغربی',
+      'mode.kabir': 'ابجد کبیر',
+      'mode.saghir': 'ابجد صغیر',
+      'mode.wasit': 'ابجد وسیط',
+      'mode.akbar': 'ابجد اکبر (بسط)',
+      'part.name': 'نام',
+      'part.mother': 'والدہ کا نام',
+      'ranking.id': 'ناموں کی ترتیب',
+      'ranking.balanced': 'متوازن اعداد',
+      'ranking.allah': 'لفظ اللہ والے پہلے',
+      'ranking.category': 'ہم معنی نام',
+      'ranking.letters': 'کم سے کم حروف',
+      'catalogueSort.id': 'روایتی ترتیب',
+      'catalogueSort.value': 'ابجد عدد',
+      'catalogueSort.arabic': 'عربی نام',
+      'catalogueSort.english': 'انگریزی تلفظ',
+      'category.oneness': 'توحید و تقدیس',
+      'category.mercy': 'رحمت و محبت',
+      'category.forgiveness': 'مغفرت',
+      'category.majesty': 'عظمت و جلال',
+      'category.sovereignty': 'بادشاہی و قدرت',
+      'category.creation': 'تخلیق و حیات',
+      'category.provision': 'رزق و عطا',
+      'category.knowledge': 'علم و حکمت',
+      'category.justice': 'عدل و فیصلہ',
+      'category.protection': 'حفاظت و ہدایت',
+    },
+  };
+
+  static locale = Messages.DEFAULT_LOCALE;
+
+  /**
+   * Set the locale used when a call does not pass one
+   */
+  static setLocale(locale) {
+    if (!this.LOCALES[locale]) {
+      throw new Error(`Unknown locale '${locale}'`);
+    }
+    this.locale = locale;
+  }
+
+  /**
+   * Resolve a locale argument, falling back to the current locale
+   */
+  static resolveLocale(locale = null) {
+    return locale && this.CATALOGUE[locale] ? locale : this.locale;
+  }
+
+  /**
+   * Look up a message and fill its placeholders. Missing entries fall back
+   * to English, then to `fallback`, then to the code itself.
+   */
+  static format(code, params = {}, locale = null, fallback = null) {
+    const catalogue = this.CATALOGUE[this.resolveLocale(locale)];
+    const template = catalogue[code] ?? this.CATALOGUE[this.DEFAULT_LOCALE][code] ?? fallback ?? code;
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+  }
+
+  /**
+   * Join list items with the locale's separator
+   */
+  static list(items, locale = null) {
+    return items.join(this.format('LIST_SEPARATOR', {}, locale));
+  }
+
+  /**
+   * Localized label for a profile, system, mode, ranking, catalogueSort or
+   * category key, e.g. label('system', 'mashriqi')
+   */
+  static label(kind, key, fallback, locale = null) {
+    return this.format(`${kind}.${key}`, {}, locale, fallback);
+  }
+}
+
 // ============================================================================
 // TEXT PROCESSOR MODULE
 // ============================================================================
@@ -46,6 +248,116 @@ class TextProcessor {
     '\u06D3': '\u064A',  // ۓ -> ي (Bari Ya Diacritic to Ya)
   };
 
+  /**
+   * Normalization profiles decide how hamza forms, madda and Urdu-specific
+   * letters count. An empty string means the letter counts as zero.
+   */
+  static NORMALIZATION_PROFILES = {
+    classical: {
+      label: 'Classical Arabic',
+      letters: {
+        '\u0622': '\u0627',  // آ -> ا
+        '\u0623': '\u0627',  // أ -> ا
+        '\u0625': '\u0627',  // إ -> ا
+        '\u0624': '\u0648',  // ؤ -> و
+        '\u0626': '\u064A',  // ئ -> ي
+        '\u0621': '\u0627',  // ء -> ا (hamza counted as alif)
+        '\u06BA': '\u0646',  // ں -> ن
+        '\u0629': '\u0647',  // ة -> ه
+        '\u06C3': '\u0647',  // ۃ -> ه
+      },
+    },
+    urdu: {
+      label: 'Urdu Traditional',
+      letters: {
+        '\u0622': '\u0627',  // آ -> ا
+        '\u0623': '\u0627',  // أ -> ا
+        '\u0625': '\u0627',  // إ -> ا
+        '\u0624': '\u0648',  // ؤ -> و
+        '\u0626': '\u064A',  // ئ -> ي
+        '\u0621': '',         // ء -> 0 (hamza is not a letter in Urdu)
+        '\u06BA': '\u0646',  // ں -> ن
+        '\u0629': '\u0647',  // ة -> ه
+        '\u06C3': '\u0647',  // ۃ -> ه
+      },
+    },
+    strict: {
+      label: 'Strict',
+      letters: {
+        '\u0622': '\u0627',  // آ -> ا
+        '\u0623': '\u0627',  // أ -> ا
+        '\u0625': '\u0627',  // إ -> ا
+        '\u0624': '\u0648',  // ؤ -> و
+        '\u0626': '\u064A',  // ئ -> ي
+        '\u0621': '',         // ء -> 0
+        '\u06BA': '',         // ں -> 0 (nasal mark, not a pronounced nun)
+        '\u0629': '\u0647',  // ة -> ه
+        '\u06C3': '\u0647',  // ۃ -> ه
+      },
+    },
+  };
+
+  static DEFAULT_NORMALIZATION_PROFILE = 'urdu';
+
+  /**
+   * Titles and castes excluded from the calculation (see info.html rules).
+   * Keys are written in Urdu script; Arabic spellings match through
+   * honorificKey(). Values are the English gloss shown to the user.
+   */
+  static HONORIFICS = {
+    // Titles
+    'شیخ': 'Sheikh',
+    'سید': 'Syed',
+    'سیدہ': 'Syeda',
+    'مرزا': 'Mirza',
+    'میاں': 'Mian',
+    'خواجہ': 'Khawaja',
+    'پیر': 'Pir',
+    'حافظ': 'Hafiz',
+    'قاری': 'Qari',
+    'حاجی': 'Haji',
+    'الحاج': 'Al-Hajj',
+    'مولانا': 'Maulana',
+    'مولوی': 'Maulvi',
+    'مفتی': 'Mufti',
+    'علامہ': 'Allama',
+    'ڈاکٹر': 'Doctor',
+    'صاحب': 'Sahib',
+    'بیگم': 'Begum',
+    // Castes and family names
+    'خان': 'Khan',
+    'ملک': 'Malik',
+    'چوہدری': 'Chaudhry',
+    'چودھری': 'Chaudhry',
+    'راجہ': 'Raja',
+    'رانا': 'Rana',
+    'بٹ': 'Butt',
+    'قریشی': 'Qureshi',
+    'صدیقی': 'Siddiqui',
+    'فاروقی': 'Farooqi',
+    'عثمانی': 'Usmani',
+    'انصاری': 'Ansari',
+    'ہاشمی': 'Hashmi',
+    'رضوی': 'Rizvi',
+    'نقوی': 'Naqvi',
+    'زیدی': 'Zaidi',
+    'جعفری': 'Jafri',
+    'بخاری': 'Bukhari',
+    'گیلانی': 'Gilani',
+  };
+
+  /**
+   * Shadda (tashdeed) policies: a doubled letter counts once or twice
+   */
+  static SHADDA = '\u0651';
+
+  static SHADDA_POLICIES = {
+    once: 'Count once',
+    twice: 'Count twice',
+  };
+
+  static DEFAULT_SHADDA_POLICY = 'once';
+
   /**
    * Valid Arabic/Urdu letters
    */
@@ -75,6 +387,28 @@ class TextProcessor {
     ).join('');
   }
 
+  /**
+   * Get a normalization profile by key, defaulting to Urdu Traditional
+   */
+  static getNormalizationProfile(key = null) {
+    const profileKey = key || this.DEFAULT_NORMALIZATION_PROFILE;
+    const profile = this.NORMALIZATION_PROFILES[profileKey];
+    if (!profile) {
+      throw new Error(Messages.format('PROFILE_UNKNOWN', { profile: profileKey }));
+    }
+    return { key: profileKey, ...profile };
+  }
+
+  /**
+   * Apply a normalization profile's letter rules
+   */
+  static applyNormalizationProfile(text, profileKey = null) {
+    const profile = this.getNormalizationProfile(profileKey);
+    return text.split('').map(char =>
+      char in profile.letters ? profile.letters[char] : char
+    ).join('');
+  }
+
   /**
    * Remove leading/trailing spaces and collapse internal spaces
    */
@@ -96,14 +430,113 @@ class TextProcessor {
     return (0x0600 <= code && code <= 0x06FF) || (0x0750 <= code && code <= 0x077F);
   }
 
+  /**
+   * Key used to compare a word against the honorific lexicon, so that
+   * Arabic and Urdu spellings of the same letter compare equal
+   */
+  static honorificKey(word) {
+    return this.normalizeVariants(this.removeDiacritics(word))
+      .replace(/\u06CC/g, '\u064A')   // ی -> ي
+      .replace(/\u06A9/g, '\u0643');  // ک -> ك
+  }
+
+  /**
+   * Split text into words and flag the ones found in the honorific lexicon.
+   * Words listed in `keepWords` are reported but not excluded.
+   */
+  static findHonorifics(text, lexicon = this.HONORIFICS, keepWords = []) {
+    const honorifics = new Map();
+    for (const [word, label] of Object.entries(lexicon || this.HONORIFICS)) {
+      honorifics.set(this.honorificKey(word), label);
+    }
+    const kept = new Set(keepWords.map(word => this.honorificKey(word)));
+
+    const words = [];
+    const pattern = /[^ ]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const key = this.honorificKey(match[0]);
+      const honorific = honorifics.get(key) || null;
+      words.push({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        honorific: honorific,
+        excluded: honorific !== null && !kept.has(key)
+      });
+    }
+    return words;
+  }
+
+  /**
+   * Apply the shadda policy: mark every letter carrying a shadda and, under
+   * the 'twice' policy, repeat it. Returns the text without shadda marks plus
+   * a flag per character telling whether it came from a doubled letter, and
+   * one telling whether it is the repeated copy.
+   */
+  static applyShaddaPolicy(text, policy = this.DEFAULT_SHADDA_POLICY) {
+    if (!this.SHADDA_POLICIES[policy]) {
+      throw new Error(Messages.format('SHADDA_UNKNOWN', { policy }));
+    }
+
+    const chars = [];
+    const doubled = [];
+    const repeated = [];
+
+    for (const char of text) {
+      if (char !== this.SHADDA) {
+        chars.push(char);
+        doubled.push(false);
+        repeated.push(false);
+        continue;
+      }
+
+      // Vowel marks may sit between the letter and its shadda
+      let letterIndex = chars.length - 1;
+      while (letterIndex >= 0 && this.ARABIC_DIACRITICS[chars[letterIndex]]) {
+        letterIndex--;
+      }
+      if (letterIndex < 0 || chars[letterIndex] === ' ') {
+        continue;
+      }
+
+      doubled[letterIndex] = true;
+      if (policy === 'twice') {
+        chars.push(chars[letterIndex]);
+        doubled.push(true);
+        repeated.push(true);
+      }
+    }
+
+    return [chars.join(''), doubled, repeated];
+  }
+
   /**
    * Process and validate name input
+   * @param {string} inputString - Raw name as typed by the user
+   * @param {boolean} [removeSpacesBetween] - Drop spaces between words
+   * @param {Object} [options]
+   * @param {string} [options.profile] - Normalization profile key (see NORMALIZATION_PROFILES)
+   * @param {string} [options.shadda] - Shadda policy: 'once' (default) or 'twice'
+   * @param {boolean} [options.stripHonorifics] - Exclude titles/castes (default true)
+   * @param {Object} [options.honorifics] - Lexicon replacing HONORIFICS
+   * @param {Array} [options.keepWords] - Lexicon words to keep in this name
+   * @param {string} [options.locale] - Locale for warnings and errors (see Messages)
    */
-  static processNameInput(inputString, removeSpacesBetween = false) {
+  static processNameInput(inputString, removeSpacesBetween = false, options = {}) {
+    const profile = this.getNormalizationProfile(options.profile);
+    const shaddaPolicy = options.shadda || this.DEFAULT_SHADDA_POLICY;
+    const stripHonorifics = options.stripHonorifics !== false;
+    const locale = Messages.resolveLocale(options.locale);
     const status = {
       success: false,
       original: inputString,
       cleaned: '',
+      normalizationProfile: profile.key,
+      shaddaPolicy: shaddaPolicy,
+      doubledPositions: [],
+      nameWords: [],
+      excludedWords: [],
       length: 0,
       warnings: [],
       errors: [],
@@ -115,26 +548,97 @@ class TextProcessor {
     let text = this.removeSpaces(inputString);
 
     if (!text) {
-      status.errors.push("Empty input");
+      status.errors.push(Messages.format('EMPTY_INPUT', {}, locale));
       return ['', status];
     }
 
-    // Step 2: Remove diacritical marks
+    // Step 2: Apply shadda policy before the mark itself is stripped.
+    // `doubled` stays aligned with `text` through every later step,
+    // `repeated` until titles and castes have been found.
+    let doubled;
+    let repeated;
+    [text, doubled, repeated] = this.applyShaddaPolicy(text, shaddaPolicy);
+    if (doubled.some(Boolean)) {
+      status.warnings.push(Messages.format('SHADDA_COUNTED', {
+        policy: Messages.label('shadda', shaddaPolicy, shaddaPolicy, locale)
+      }, locale));
+    }
+
+    // Step 2b: Remove diacritical marks
     if (text.split('').some(char => this.ARABIC_DIACRITICS[char])) {
       status.hasDiacritics = true;
+      doubled = doubled.filter((_, i) => !this.ARABIC_DIACRITICS[text[i]]);
+      repeated = repeated.filter((_, i) => !this.ARABIC_DIACRITICS[text[i]]);
       text = this.removeDiacritics(text);
-      status.warnings.push("Diacritical marks removed");
+      status.warnings.push(Messages.format('DIACRITICS_REMOVED', {}, locale));
     }
 
     // Step 3: Normalize character variants
     const textBefore = text;
     text = this.normalizeVariants(text);
     if (textBefore !== text) {
-      status.warnings.push("Character variants normalized");
+      status.warnings.push(Messages.format('VARIANTS_NORMALIZED', {}, locale));
+    }
+
+    // Step 3b: Strip titles and castes, unless the caller keeps the word.
+    // Words are matched as written, without the letters the shadda policy
+    // repeated, and their positions mapped back onto `text`.
+    if (stripHonorifics) {
+      const positions = [];
+      for (let i = 0; i < text.length; i++) {
+        if (!repeated[i]) {
+          positions.push(i);
+        }
+      }
+      const written = positions.map(i => text[i]).join('');
+      const words = this.findHonorifics(written, options.honorifics, options.keepWords).map(word => ({
+        ...word,
+        start: positions[word.start],
+        end: word.end < positions.length ? positions[word.end] : text.length
+      }));
+      status.nameWords = words.map(word => ({
+        text: word.text,
+        honorific: word.honorific,
+        excluded: word.excluded
+      }));
+
+      const excluded = words.filter(word => word.excluded);
+      if (excluded.length === words.length) {
+        // Never strip a name down to nothing; the title is all there is
+        for (const word of status.nameWords) {
+          word.excluded = false;
+        }
+        status.warnings.push(Messages.format('ONLY_HONORIFICS', {}, locale));
+      } else if (excluded.length > 0) {
+        const keep = new Array(text.length).fill(true);
+        for (const word of excluded) {
+          // Drop the word together with the space that follows (or precedes) it
+          const from = word.end < text.length ? word.start : Math.max(0, word.start - 1);
+          const to = word.end < text.length ? word.end + 1 : word.end;
+          keep.fill(false, from, to);
+        }
+        doubled = doubled.filter((_, i) => keep[i]);
+        text = text.split('').filter((_, i) => keep[i]).join('');
+        status.excludedWords = excluded.map(word => word.text);
+        status.warnings.push(Messages.format('HONORIFICS_EXCLUDED', {
+          words: Messages.list(status.excludedWords, locale)
+        }, locale));
+      }
+    }
+
+    // Step 3c: Apply orthography profile (hamza, madda, Urdu letters)
+    const textBeforeProfile = text;
+    doubled = doubled.filter((_, i) => profile.letters[text[i]] !== '');
+    text = this.applyNormalizationProfile(text, profile.key);
+    if (textBeforeProfile !== text) {
+      status.warnings.push(Messages.format('PROFILE_APPLIED', {
+        profile: Messages.label('profile', profile.key, profile.label, locale)
+      }, locale));
     }
 
     // Step 4: Validate characters and build output
     let cleaned = "";
+    const cleanedDoubled = [];
     const nonArabicChars = [];
 
     for (let i = 0; i < text.length; i++) {
@@ -143,25 +647,40 @@ class TextProcessor {
       if (char === ' ') {
         if (!removeSpacesBetween) {
           cleaned += char;
+          cleanedDoubled.push(false);
         }
       } else if (this.isArabicUrduChar(char)) {
         cleaned += char;
+        cleanedDoubled.push(doubled[i]);
       } else {
         nonArabicChars.push(char);
       }
     }
 
     if (nonArabicChars.length > 0) {
-      const charList = nonArabicChars.slice(0, 3).map(c => `'${c}'`).join(', ');
-      const extra = nonArabicChars.length > 3 ? ` and ${nonArabicChars.length - 3} more` : '';
-      status.errors.push(`Non-Arabic characters found: ${charList}${extra}`);
+      let chars = Messages.list(nonArabicChars.slice(0, 3).map(c => `'${c}'`), locale);
+      if (nonArabicChars.length > 3) {
+        chars = Messages.format('NON_ARABIC_MORE', { chars, count: nonArabicChars.length - 3 }, locale);
+      }
+      status.errors.push(Messages.format('NON_ARABIC_CHARS', { chars }, locale));
     }
 
-    // Step 5: Final cleanup
-    cleaned = this.removeSpaces(cleaned);
+    // Step 5: Final cleanup (the same as removeSpaces, keeping flags aligned)
+    let finalText = '';
+    for (let i = 0; i < cleaned.length; i++) {
+      const char = cleaned[i];
+      if (char === ' ' && (finalText === '' || finalText.endsWith(' '))) {
+        continue;
+      }
+      if (cleanedDoubled[i]) {
+        status.doubledPositions.push(finalText.length);
+      }
+      finalText += char;
+    }
+    cleaned = finalText.trimEnd();
 
     if (!cleaned) {
-      status.errors.push("No valid Arabic/Urdu characters found");
+      status.errors.push(Messages.format('NO_VALID_CHARS', {}, locale));
       return ['', status];
     }
 
@@ -201,386 +720,2046 @@ class TextProcessor {
 // ============================================================================
 
 class DataLoader {
-  constructor(abjadValues = {}, divineNames = [], namesIndex = {}) {
-    this.abjadValues = abjadValues;
-    this.divineNames = divineNames;
-    this.namesIndex = namesIndex;
-    this.loaded = Object.keys(abjadValues).length > 0 && divineNames.length > 0;
-  }
+  /**
+   * Abjad system used when none is requested explicitly
+   */
+  static DEFAULT_ABJAD_SYSTEM = 'mashriqi';
 
   /**
-   * Load all data from JSON objects
+   * Bundle files under data/, keyed by bundle kind
    */
-  loadAll(abjadValues, divineNames, namesIndex) {
-    this.abjadValues = abjadValues;
-    this.divineNames = divineNames;
-    this.namesIndex = namesIndex;
-    this.loaded = Object.keys(abjadValues).length > 0 && divineNames.length > 0;
-    console.log(`[OK] Loaded ${Object.keys(abjadValues).length} abjad letter values`);
-    console.log(`[OK] Loaded ${divineNames.length} Divine Names`);
-    console.log(`[OK] Loaded index with ${Object.keys(namesIndex).length} unique abjad values`);
+  static DATA_FILES = {
+    abjad: 'abjad_values.json',
+    names: 'asmaul_husna.json',
+    index: 'asmaul_husna_index.json'
+  };
+
+  /**
+   * Required fields of each Divine Name and of each index entry, with their types
+   */
+  static NAME_SCHEMA = {
+    id: 'integer',
+    arabic_name: 'text',
+    english_name: 'text',
+    abjad_value: 'integer',
+    meaning: 'text',
+    category: 'text?'
+  };
+
+  static INDEX_ENTRY_SCHEMA = {
+    id: 'integer',
+    arabic_name: 'text',
+    english_name: 'text',
+    meaning: 'text'
+  };
+
+  /**
+   * Lifecycle events: 'loaded' after every successful (re)load, 'error' when a load fails
+   */
+  static EVENTS = ['loaded', 'error'];
+
+  constructor(abjadValues = {}, divineNames = [], namesIndex = {}, abjadSystems = {}) {
+    this.abjadSystems = {};
+    this.activeSystem = DataLoader.DEFAULT_ABJAD_SYSTEM;
+    this.versions = {};
+    this.error = null;
+    this.listeners = { loaded: [], error: [] };
+    this._waiting = [];
+    this._setData(abjadValues, divineNames, namesIndex, abjadSystems);
+    // Bumped on every load, so anything built from the data can tell it is stale
+    this.revision = this.loaded ? 1 : 0;
   }
 
   /**
-   * Get abjad value for a specific letter
+   * Subscribe to a lifecycle event
+   * @param {string} event - 'loaded' ({ revision, versions }) or 'error' (the Error)
+   * @param {Function} listener
    */
-  getLetterValue(letter) {
-    if (!this.abjadValues || Object.keys(this.abjadValues).length === 0) {
-      throw new Error("Abjad values not loaded. Call loadAll() first.");
+  on(event, listener) {
+    if (!DataLoader.EVENTS.includes(event)) {
+      throw new Error(`Unknown data event '${event}'`);
     }
-    return this.abjadValues[letter] || null;
+    this.listeners[event].push(listener);
   }
 
   /**
-   * Get Divine Names matching an abjad value
+   * Remove a listener added with on()
    */
-  getNamesByValue(value) {
-    if (!this.namesIndex || Object.keys(this.namesIndex).length === 0) {
-      throw new Error("Names index not loaded. Call loadAll() first.");
+  off(event, listener) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
     }
-    return this.namesIndex[String(value)] || [];
   }
-}
-
-// Global data loader instance
-let _dataLoader = null;
 
-function getDataLoader() {
-  if (_dataLoader === null) {
-    _dataLoader = new DataLoader();
+  /**
+   * Call every listener of an event; one failing listener does not stop the rest
+   */
+  _emit(event, detail) {
+    for (const listener of [...this.listeners[event]]) {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`[ERROR] '${event}' listener failed:`, error);
+      }
+    }
   }
-  return _dataLoader;
-}
-
-// ============================================================================
-// ABJAD CALCULATOR MODULE
-// ============================================================================
 
-class AbjadCalculator {
-  constructor() {
-    this.loader = getDataLoader();
+  /**
+   * Record a successful load and notify listeners and ready() callers
+   */
+  _markLoaded() {
+    this.revision += 1;
+    this.error = null;
+    const detail = { revision: this.revision, versions: this.versions };
+    this._waiting.splice(0).forEach(waiter => waiter.resolve(detail));
+    this._emit('loaded', detail);
   }
 
   /**
-   * Calculate the total Abjad value for an Arabic name
+   * Record a failed load and notify listeners and ready() callers
    */
-  calculateAbjadValue(arabicName) {
-    const result = {
-      success: false,
-      totalValue: 0,
-      inputName: arabicName,
-      characterBreakdown: [],
-      charCount: 0,
-      errors: [],
-      warnings: []
-    };
-
-    // Validate input
-    if (!arabicName) {
-      result.errors.push('Input name is empty');
-      return result;
+  _markFailed(error) {
+    this.error = error;
+    if (!this.loaded) {
+      this._waiting.splice(0).forEach(waiter => waiter.reject(error));
     }
+    this._emit('error', error);
+  }
 
-    if (typeof arabicName !== 'string') {
-      result.errors.push(`Input must be string, got ${typeof arabicName}`);
-      return result;
+  /**
+   * Resolve once data is loaded ({ revision, versions }). Rejects with the
+   * load error while no data is loaded and the last attempt failed.
+   * @returns {Promise<Object>}
+   */
+  ready() {
+    if (this.loaded) {
+      return Promise.resolve({ revision: this.revision, versions: this.versions });
     }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+  }
 
-    // Process each character
-    let total = 0;
-    let charCount = 0;
-
-    for (let position = 0; position < arabicName.length; position++) {
-      const char = arabicName[position];
-      const letterValue = this.loader.getLetterValue(char);
-
-      if (letterValue === null) {
-        result.warnings.push(
-          `Character '${char}' at position ${position} not found in Abjad table`
-        );
-        continue;
-      }
-
-      // Add to breakdown
-      result.characterBreakdown.push({
-        character: char,
-        value: letterValue,
-        position: position
-      });
+  /**
+   * Store data and register the abjad tables it contains
+   */
+  _setData(abjadValues, divineNames, namesIndex, abjadSystems) {
+    this.abjadValues = abjadValues;
+    this.divineNames = divineNames;
+    this.namesIndex = namesIndex;
+    this.abjadSystems = {};
 
-      total += letterValue;
-      charCount += 1;
+    if (Object.keys(abjadValues).length > 0 && !abjadSystems[DataLoader.DEFAULT_ABJAD_SYSTEM]) {
+      this.registerAbjadSystem(DataLoader.DEFAULT_ABJAD_SYSTEM, abjadValues, 'Mashriqi (Eastern)');
     }
-
-    // Validate that we processed at least one character
-    if (charCount === 0) {
-      result.errors.push('No valid Arabic letters found in input');
-      return result;
+    for (const [key, system] of Object.entries(abjadSystems)) {
+      this.registerAbjadSystem(key, system.values, system.label);
     }
 
-    // Set success result
-    result.success = true;
-    result.totalValue = total;
-    result.charCount = charCount;
-
-    return result;
+    if (!this.abjadSystems[this.activeSystem]) {
+      this.activeSystem = DataLoader.DEFAULT_ABJAD_SYSTEM;
+    }
+    this.loaded = Object.keys(abjadValues).length > 0 && divineNames.length > 0;
   }
 
   /**
-   * Calculate with validation
+   * Load all data from JSON objects
    */
-  calculateWithValidation(cleanedName) {
-    const result = this.calculateAbjadValue(cleanedName);
-    return [result.totalValue, result];
+  loadAll(abjadValues, divineNames, namesIndex, abjadSystems = {}) {
+    try {
+      DataLoader.assertValid(DataLoader.DATA_FILES.names, DataLoader.validateNames(divineNames));
+      this._setData(abjadValues, divineNames, namesIndex, abjadSystems);
+    } catch (error) {
+      this._markFailed(error);
+      throw error;
+    }
+    console.log(`[OK] Loaded ${Object.keys(abjadValues).length} abjad letter values`);
+    console.log(`[OK] Loaded ${Object.keys(this.abjadSystems).length} abjad system(s)`);
+    console.log(`[OK] Loaded ${divineNames.length} Divine Names`);
+    console.log(`[OK] Loaded index with ${Object.keys(namesIndex).length} unique abjad values`);
+    this._markLoaded();
   }
 
   /**
-   * Get individual character values as a simple list of tuples
+   * Load the versioned bundles from data/, validating each against its schema
+   * @param {Object} bundles - { abjad, names, index } parsed JSON bundles
+   * @param {Object} [options]
+   * @param {boolean} [options.checkIndex] - Compare the shipped index with the
+   *   one rebuilt from the names (requires bundles.index)
+   * @throws {Error} Listing every schema problem, or every index difference
    */
-  getCharacterValues(arabicName) {
-    const result = this.calculateAbjadValue(arabicName);
+  loadBundles(bundles, options = {}) {
+    try {
+      this._applyBundles(bundles, options);
+    } catch (error) {
+      this._markFailed(error);
+      throw error;
+    }
+    this._markLoaded();
+  }
 
-    if (!result.success) {
-      return [];
+  /**
+   * Validate the bundles and swap in their data
+   */
+  _applyBundles(bundles, options) {
+    const { abjad, names } = bundles;
+    DataLoader.assertValid(DataLoader.DATA_FILES.abjad, DataLoader.validateAbjadBundle(abjad));
+    DataLoader.assertValid(DataLoader.DATA_FILES.names, DataLoader.validateNamesBundle(names));
+
+    const systems = DataLoader.resolveAbjadSystems(abjad);
+    const namesIndex = DataLoader.buildNamesIndex(names.names);
+
+    if (options.checkIndex) {
+      DataLoader.assertValid(DataLoader.DATA_FILES.index, DataLoader.validateIndexBundle(bundles.index));
+      const problems = DataLoader.compareIndex(bundles.index.index, names.names);
+      if (bundles.index.version !== names.version) {
+        problems.unshift(`version ${bundles.index.version} does not match ` +
+          `${DataLoader.DATA_FILES.names} version ${names.version}`);
+      }
+      DataLoader.assertValid(DataLoader.DATA_FILES.index, problems);
     }
 
-    return result.characterBreakdown.map(item => 
-      [item.character, item.value]
-    );
+    this.activeSystem = abjad.default;
+    this._setData(systems[abjad.default].values, names.names, namesIndex, systems);
+    this.versions = {
+      abjad: abjad.version,
+      names: names.version,
+      index: bundles.index ? bundles.index.version : null
+    };
+
+    console.log(`[OK] Loaded ${DataLoader.DATA_FILES.abjad} ${abjad.version}: ` +
+      `${Object.keys(systems).length} abjad system(s)`);
+    console.log(`[OK] Loaded ${DataLoader.DATA_FILES.names} ${names.version}: ${names.names.length} Divine Names`);
+    console.log(`[OK] Built index with ${Object.keys(namesIndex).length} unique abjad values` +
+      (options.checkIndex ? `, matching ${DataLoader.DATA_FILES.index}` : ''));
   }
 
   /**
-   * Print a formatted calculation breakdown
+   * Read and load the bundles through a caller-supplied reader
+   * @param {Function} readJson - (fileName) => parsed JSON, or a Promise of it
+   * @param {Object} [options] - loadBundles options
    */
-  printCalculation(arabicName, verbose = true) {
-    const result = this.calculateAbjadValue(arabicName);
+  async loadFromFiles(readJson, options = {}) {
+    let bundles;
+    try {
+      bundles = {
+        abjad: await readJson(DataLoader.DATA_FILES.abjad),
+        names: await readJson(DataLoader.DATA_FILES.names),
+        index: options.checkIndex ? await readJson(DataLoader.DATA_FILES.index) : null
+      };
+    } catch (error) {
+      this._markFailed(error);
+      throw error;
+    }
+    this.loadBundles(bundles, options);
+  }
 
-    if (!result.success) {
-      console.log(`Calculation failed for '${arabicName}':`);
-      result.errors.forEach(error => console.log(`  - ${error}`));
-      result.warnings.forEach(warning => console.log(`  - ${warning}`));
+  /**
+   * Throw one error listing every problem found in a bundle
+   */
+  static assertValid(fileName, problems) {
+    if (problems.length === 0) {
       return;
     }
+    const error = new Error(`Invalid data in ${fileName}:\n  - ${problems.join('\n  - ')}`);
+    error.file = fileName;
+    error.problems = problems;
+    throw error;
+  }
 
-    if (verbose) {
-      console.log(`Name: ${arabicName}`);
-      console.log('-'.repeat(40));
+  /**
+   * Problems with a value against a schema type ('integer' or 'text')
+   */
+  static _checkField(value, type, label) {
+    if (type === 'integer' && !Number.isInteger(value)) {
+      return [`${label} must be an integer, found ${JSON.stringify(value)}`];
+    }
+    if (type === 'text' && (typeof value !== 'string' || value.trim() === '')) {
+      return [`${label} must be a non-empty string, found ${JSON.stringify(value)}`];
+    }
+    return [];
+  }
 
-      result.characterBreakdown.forEach(item => {
+  /**
+   * Problems with an object's fields; a type ending in '?' marks an optional field
+   */
+  static _checkRecord(record, schema, label) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return [`${label} must be an object`];
+    }
+    const problems = [];
+    for (const [field, schemaType] of Object.entries(schema)) {
+      const optional = schemaType.endsWith('?');
+      const type = optional ? schemaType.slice(0, -1) : schemaType;
+      if (record[field] === undefined) {
+        if (!optional) {
+          problems.push(`${label} is missing "${field}"`);
+        }
+      } else {
+        problems.push(...DataLoader._checkField(record[field], type, `${label} "${field}"`));
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Problems with a bundle's envelope
+   */
+  static _checkEnvelope(bundle, field, type) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return [`expected an object with "version" and "${field}"`];
+    }
+    const problems = DataLoader._checkField(bundle.version, 'text', '"version"');
+    const ok = type === 'array' ? Array.isArray(bundle[field])
+      : bundle[field] && typeof bundle[field] === 'object' && !Array.isArray(bundle[field]);
+    if (!ok) {
+      problems.push(`"${field}" must be an ${type}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Validate a list of Divine Names: required fields, types, unique IDs
+   * @returns {Array} Problem descriptions (empty when valid)
+   */
+  static validateNames(divineNames) {
+    if (!Array.isArray(divineNames)) {
+      return ['Divine Names must be an array'];
+    }
+    const problems = [];
+    const seen = new Set();
+    divineNames.forEach((name, position) => {
+      const label = name && name.id !== undefined ? `name #${name.id}` : `name at position ${position}`;
+      problems.push(...DataLoader._checkRecord(name, DataLoader.NAME_SCHEMA, label));
+      if (name && Number.isInteger(name.id)) {
+        if (seen.has(name.id)) {
+          problems.push(`duplicate id ${name.id}`);
+        }
+        seen.add(name.id);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Validate data/asmaul_husna.json: { version, names: [...] }
+   */
+  static validateNamesBundle(bundle) {
+    const problems = DataLoader._checkEnvelope(bundle, 'names', 'array');
+    return problems.length > 0 ? problems : DataLoader.validateNames(bundle.names);
+  }
+
+  /**
+   * Validate data/abjad_values.json: { version, default, systems: { key: { label, values, extends? } } }
+   */
+  static validateAbjadBundle(bundle) {
+    const problems = DataLoader._checkEnvelope(bundle, 'systems', 'object');
+    if (problems.length > 0) {
+      return problems;
+    }
+
+    const keys = Object.keys(bundle.systems);
+    if (keys.length === 0) {
+      problems.push('"systems" has no abjad systems');
+    }
+    if (!bundle.systems[bundle.default]) {
+      problems.push(`"default" names unknown system ${JSON.stringify(bundle.default)}`);
+    }
+
+    for (const key of keys) {
+      const system = bundle.systems[key];
+      const label = `system "${key}"`;
+      if (!system || typeof system !== 'object') {
+        problems.push(`${label} must be an object`);
+        continue;
+      }
+      problems.push(...DataLoader._checkField(system.label, 'text', `${label} "label"`));
+      if (system.extends !== undefined && (system.extends === key || !bundle.systems[system.extends])) {
+        problems.push(`${label} extends unknown system ${JSON.stringify(system.extends)}`);
+      }
+      if (!system.values || typeof system.values !== 'object' || Object.keys(system.values).length === 0) {
+        problems.push(`${label} has no letter values`);
+        continue;
+      }
+      for (const [letter, value] of Object.entries(system.values)) {
+        if ([...letter].length !== 1) {
+          problems.push(`${label} key ${JSON.stringify(letter)} is not a single letter`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          problems.push(`${label} value of ${letter} must be a non-negative number, found ${JSON.stringify(value)}`);
+        }
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Validate data/asmaul_husna_index.json: { version, index: { value: [entries] } }
+   */
+  static validateIndexBundle(bundle) {
+    const problems = DataLoader._checkEnvelope(bundle, 'index', 'object');
+    if (problems.length > 0) {
+      return problems;
+    }
+    for (const [value, entries] of Object.entries(bundle.index)) {
+      if (!/^\d+$/.test(value)) {
+        problems.push(`index key ${JSON.stringify(value)} is not an abjad value`);
+      }
+      if (!Array.isArray(entries)) {
+        problems.push(`index entry ${value} must be an array`);
+        continue;
+      }
+      entries.forEach((entry, position) => {
+        problems.push(...DataLoader._checkRecord(entry, DataLoader.INDEX_ENTRY_SCHEMA, `index ${value}[${position}]`));
+      });
+    }
+    return problems;
+  }
+
+  /**
+   * Expand a validated abjad bundle into { key: { label, values } }, applying "extends"
+   */
+  static resolveAbjadSystems(bundle) {
+    const systems = {};
+    const resolve = (key, seen = []) => {
+      if (seen.includes(key)) {
+        throw new Error(`Abjad system '${key}' extends itself through ${seen.join(' → ')}`);
+      }
+      if (!systems[key]) {
+        const system = bundle.systems[key];
+        const base = system.extends ? resolve(system.extends, [...seen, key]).values : {};
+        systems[key] = { label: system.label, values: { ...base, ...system.values } };
+      }
+      return systems[key];
+    };
+    Object.keys(bundle.systems).forEach(key => resolve(key));
+    return systems;
+  }
+
+  /**
+   * Build the abjad value → Divine Names index
+   */
+  static buildNamesIndex(divineNames) {
+    const namesIndex = {};
+    for (const name of divineNames) {
+      const value = String(name.abjad_value);
+      if (!namesIndex[value]) {
+        namesIndex[value] = [];
+      }
+      namesIndex[value].push(name);
+    }
+    return namesIndex;
+  }
+
+  /**
+   * Compare a value → names index with the dataset
+   * @returns {Object} { checked, missing, extra, mismatched }
+   *   missing: dataset names absent from the index under their value;
+   *   extra: index entries with no dataset name at that value;
+   *   mismatched: entries whose text fields differ from the dataset
+   */
+  static diffIndex(namesIndex, divineNames) {
+    const byId = new Map(divineNames.map(name => [name.id, name]));
+    const report = { checked: 0, missing: [], extra: [], mismatched: [] };
+    const indexed = new Set();
+
+    for (const [value, entries] of Object.entries(namesIndex)) {
+      for (const entry of entries) {
+        report.checked += 1;
+        const name = byId.get(entry.id);
+
+        if (!name || String(name.abjad_value) !== value) {
+          report.extra.push({ id: entry.id, arabic_name: entry.arabic_name, value: Number(value) });
+          continue;
+        }
+
+        indexed.add(entry.id);
+        for (const field of Object.keys(DataLoader.INDEX_ENTRY_SCHEMA)) {
+          if (field !== 'id' && entry[field] !== name[field]) {
+            report.mismatched.push({ id: entry.id, field, expected: name[field], actual: entry[field] });
+          }
+        }
+      }
+    }
+
+    for (const name of divineNames) {
+      if (!indexed.has(name.id)) {
+        report.missing.push({ id: name.id, arabic_name: name.arabic_name, value: name.abjad_value });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Describe every difference between a shipped index and the dataset
+   * @returns {Array} Problem descriptions (empty when they agree)
+   */
+  static compareIndex(namesIndex, divineNames) {
+    const report = DataLoader.diffIndex(namesIndex, divineNames);
+    return [
+      ...report.missing.map(item => `#${item.id} ${item.arabic_name} is missing under ${item.value}`),
+      ...report.extra.map(item => `#${item.id} ${item.arabic_name} is listed under ${item.value} but not in the dataset there`),
+      ...report.mismatched.map(item => `#${item.id} "${item.field}" is "${item.actual}", expected "${item.expected}"`)
+    ];
+  }
+
+  /**
+   * Register (or replace) a named abjad table
+   */
+  registerAbjadSystem(key, values, label = key) {
+    if (!values || Object.keys(values).length === 0) {
+      throw new Error(`Abjad system '${key}' has no letter values`);
+    }
+    this.abjadSystems[key] = { key, label, values };
+  }
+
+  /**
+   * Get a registered abjad system, defaulting to the active one
+   */
+  getAbjadSystem(key = null) {
+    const systemKey = key || this.activeSystem;
+    const system = this.abjadSystems[systemKey];
+    if (!system) {
+      throw new Error(Messages.format('SYSTEM_UNKNOWN', { system: systemKey }));
+    }
+    return system;
+  }
+
+  /**
+   * List registered abjad systems as { key, label } pairs
+   */
+  listAbjadSystems() {
+    return Object.values(this.abjadSystems).map(system => ({
+      key: system.key,
+      label: system.label
+    }));
+  }
+
+  /**
+   * Switch the system used when a caller does not name one
+   */
+  setActiveSystem(key) {
+    this.activeSystem = this.getAbjadSystem(key).key;
+  }
+
+  /**
+   * Get abjad value for a specific letter
+   */
+  getLetterValue(letter, system = null) {
+    if (!this.abjadValues || Object.keys(this.abjadValues).length === 0) {
+      throw new Error("Abjad values not loaded. Call loadAll() first.");
+    }
+    const value = this.getAbjadSystem(system).values[letter];
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Get Divine Names matching an abjad value
+   */
+  getNamesByValue(value) {
+    if (!this.namesIndex || Object.keys(this.namesIndex).length === 0) {
+      throw new Error("Names index not loaded. Call loadAll() first.");
+    }
+    return this.namesIndex[String(value)] || [];
+  }
+}
+
+// Global data loader instance
+let _dataLoader = null;
+
+function getDataLoader() {
+  if (_dataLoader === null) {
+    _dataLoader = new DataLoader();
+  }
+  return _dataLoader;
+}
+
+// ============================================================================
+// ABJAD CALCULATOR MODULE
+// ============================================================================
+
+class AbjadCalculator {
+  /**
+   * Supported calculation modes
+   */
+  static CALCULATION_MODES = {
+    kabir: 'Abjad Kabir',
+    saghir: 'Abjad Saghir',
+    wasit: 'Abjad Wasit',
+    akbar: 'Abjad Akbar (Bast)',
+  };
+
+  /**
+   * Spelled-out letter names used by Abjad Akbar
+   */
+  static LETTER_NAMES = {
+    '\u0627': 'الف', '\u0628': 'با', '\u062C': 'جيم', '\u062F': 'دال',
+    '\u0647': 'ها', '\u0648': 'واو', '\u0632': 'زا', '\u062D': 'حا',
+    '\u0637': 'طا', '\u064A': 'يا', '\u0643': 'كاف', '\u0644': 'لام',
+    '\u0645': 'ميم', '\u0646': 'نون', '\u0633': 'سين', '\u0639': 'عين',
+    '\u0641': 'فا', '\u0635': 'صاد', '\u0642': 'قاف', '\u0631': 'را',
+    '\u0634': 'شين', '\u062A': 'تا', '\u062B': 'ثا', '\u062E': 'خا',
+    '\u0630': 'ذال', '\u0636': 'ضاد', '\u0638': 'ظا', '\u063A': 'غين',
+  };
+
+  /**
+   * Urdu letters and the Arabic letter whose name they take in Abjad Akbar
+   */
+  static BASE_LETTERS = {
+    '\u067E': '\u0628',  // پ -> ب
+    '\u0686': '\u062C',  // چ -> ج
+    '\u0688': '\u062F',  // ڈ -> د
+    '\u06C1': '\u0647',  // ہ -> ه
+    '\u0698': '\u0632',  // ژ -> ز
+    '\u06CC': '\u064A',  // ی -> ي
+    '\u06A9': '\u0643',  // ک -> ك
+    '\u06AF': '\u0643',  // گ -> ك
+    '\u0691': '\u0631',  // ڑ -> ر
+    '\u0679': '\u062A',  // ٹ -> ت
+  };
+
+  constructor() {
+    this.loader = getDataLoader();
+  }
+
+  /**
+   * Convert a letter's Kabir value into its value under another mode.
+   * Returns null when the letter has no value in that mode.
+   */
+  _modeValue(char, kabirValue, mode, systemKey) {
+    switch (mode) {
+      case 'kabir':
+        return { value: kabirValue };
+
+      case 'saghir': {
+        // Remainder after dividing by 12; an exact multiple counts as 12
+        const remainder = kabirValue % 12;
+        return { value: remainder === 0 ? 12 : remainder };
+      }
+
+      case 'wasit': {
+        // Position of the letter in the abjad sequence (1-28)
+        if (kabirValue < 10) return { value: kabirValue };
+        if (kabirValue < 100) return { value: 9 + kabirValue / 10 };
+        if (kabirValue < 1000) return { value: 18 + kabirValue / 100 };
+        return { value: 28 };
+      }
+
+      case 'akbar': {
+        // Kabir total of the letter's spelled-out name
+        const baseLetter = AbjadCalculator.BASE_LETTERS[char] || char;
+        const letterName = AbjadCalculator.LETTER_NAMES[baseLetter];
+        if (!letterName) {
+          return null;
+        }
+        let value = 0;
+        for (const nameChar of letterName) {
+          value += this.loader.getLetterValue(nameChar, systemKey) || 0;
+        }
+        return { value, letterName };
+      }
+
+      default:
+        throw new Error(`Unknown calculation mode '${mode}'`);
+    }
+  }
+
+  /**
+   * Calculate the total Abjad value for an Arabic name
+   * @param {string} arabicName - Cleaned Arabic/Urdu name
+   * @param {Object} [options]
+   * @param {string} [options.system] - Abjad system key (defaults to the active system)
+   * @param {string} [options.mode] - 'kabir' (default), 'saghir', 'wasit' or 'akbar'
+   * @param {string} [options.locale] - Locale for warnings and errors (see Messages)
+   */
+  calculateAbjadValue(arabicName, options = {}) {
+    const mode = options.mode || 'kabir';
+    const result = {
+      success: false,
+      totalValue: 0,
+      inputName: arabicName,
+      abjadSystem: null,
+      mode: mode,
+      characterBreakdown: [],
+      words: [],
+      charCount: 0,
+      errors: [],
+      warnings: []
+    };
+
+    // Validate input
+    if (!arabicName) {
+      result.errors.push(Messages.format('INPUT_EMPTY', {}, options.locale));
+      return result;
+    }
+
+    if (typeof arabicName !== 'string') {
+      result.errors.push(Messages.format('INPUT_NOT_STRING', { type: typeof arabicName }, options.locale));
+      return result;
+    }
+
+    const system = this.loader.getAbjadSystem(options.system);
+    result.abjadSystem = system.key;
+
+    // Process each character; whitespace separates words, each with its own subtotal
+    let total = 0;
+    let charCount = 0;
+    let word = null;
+
+    for (let position = 0; position < arabicName.length; position++) {
+      const char = arabicName[position];
+      if (/\s/.test(char)) {
+        word = null;
+        continue;
+      }
+      if (word === null) {
+        word = { index: result.words.length, text: '', totalValue: 0, charCount: 0 };
+        result.words.push(word);
+      }
+      word.text += char;
+
+      const letterValue = this.loader.getLetterValue(char, system.key);
+
+      const modeValue = letterValue === null ? null : this._modeValue(char, letterValue, mode, system.key);
+
+      if (modeValue === null) {
+        result.warnings.push(Messages.format('CHAR_NOT_IN_TABLE', { char, position }, options.locale));
+        continue;
+      }
+
+      // Add to breakdown
+      const item = {
+        character: char,
+        value: modeValue.value,
+        position: position,
+        word: word.index
+      };
+      if (modeValue.letterName) {
+        item.letterName = modeValue.letterName;
+      }
+      result.characterBreakdown.push(item);
+
+      total += modeValue.value;
+      charCount += 1;
+      word.totalValue += modeValue.value;
+      word.charCount += 1;
+    }
+
+    // Validate that we processed at least one character
+    if (charCount === 0) {
+      result.errors.push(Messages.format('NO_VALID_LETTERS', {}, options.locale));
+      return result;
+    }
+
+    // Set success result
+    result.success = true;
+    result.totalValue = total;
+    result.charCount = charCount;
+
+    return result;
+  }
+
+  /**
+   * Calculate with validation
+   */
+  calculateWithValidation(cleanedName, options = {}) {
+    const result = this.calculateAbjadValue(cleanedName, options);
+    return [result.totalValue, result];
+  }
+
+  /**
+   * Get individual character values as a simple list of tuples
+   */
+  getCharacterValues(arabicName, options = {}) {
+    const result = this.calculateAbjadValue(arabicName, options);
+
+    if (!result.success) {
+      return [];
+    }
+
+    return result.characterBreakdown.map(item => 
+      [item.character, item.value]
+    );
+  }
+
+  /**
+   * Print a formatted calculation breakdown
+   */
+  printCalculation(arabicName, verbose = true, options = {}) {
+    const result = this.calculateAbjadValue(arabicName, options);
+
+    if (!result.success) {
+      console.log(`Calculation failed for '${arabicName}':`);
+      result.errors.forEach(error => console.log(`  - ${error}`));
+      result.warnings.forEach(warning => console.log(`  - ${warning}`));
+      return;
+    }
+
+    if (verbose) {
+      console.log(`Name: ${arabicName}`);
+      console.log(`System: ${this.loader.getAbjadSystem(result.abjadSystem).label}`);
+      console.log('-'.repeat(40));
+
+      result.characterBreakdown.forEach(item => {
         console.log(`  ${item.character} = ${item.value}`);
       });
 
-      console.log('-'.repeat(40));
+      console.log('-'.repeat(40));
+    }
+
+    console.log(`Total Abjad Value: ${result.totalValue}`);
+
+    if (result.warnings.length > 0) {
+      console.log("\nWarnings:");
+      result.warnings.forEach(warning => console.log(`  - ${warning}`));
+    }
+  }
+}
+
+// Global calculator instance
+let _calculator = null;
+
+function getCalculator() {
+  if (_calculator === null) {
+    _calculator = new AbjadCalculator();
+  }
+  return _calculator;
+}
+
+// ============================================================================
+// NAME MATCHER MODULE
+// ============================================================================
+
+/**
+ * Run a stepwise search to the end and return its result
+ */
+function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+class NameMatcher {
+  /**
+   * Largest combination size findCombinations will search
+   */
+  static MAX_COMBINATION_NAMES = 5;
+
+  /**
+   * Default distance allowed for nearest-value suggestions
+   */
+  static DEFAULT_NEAREST_TOLERANCE = 100;
+
+  /**
+   * Combinations returned per page when no limit is given, and the most allowed
+   */
+  static DEFAULT_PAGE_SIZE = 10;
+  static MAX_PAGE_SIZE = 100;
+
+  /**
+   * Most combinations gathered and ranked for one value. Past this the first
+   * ones found (in ID order) are ranked and the result is marked incomplete.
+   */
+  static MAX_RANKED_COMBINATIONS = 1000;
+
+  /**
+   * ID of the name Allah in the dataset
+   */
+  static ALLAH_ID = 0;
+
+  /**
+   * Orders combination results can be ranked in. Each scores a combination's
+   * names, lowest first; equal scores keep ascending name IDs.
+   */
+  static RANKINGS = {
+    id: { label: 'Name order', score: () => 0 },
+    balanced: {
+      label: 'Balanced values',
+      score: names => {
+        const values = names.map(name => name.abjad_value);
+        return Math.max(...values) - Math.min(...values);
+      }
+    },
+    allah: {
+      label: 'Including Allah',
+      score: names => (names.some(name => name.id === NameMatcher.ALLAH_ID) ? 0 : 1)
+    },
+    category: {
+      label: 'Shared meaning',
+      // A name without a category shares it with no other name
+      score: names => new Set(names.map(name => name.category || name.id)).size
+    },
+    letters: {
+      label: 'Fewest letters',
+      score: names => names.reduce((sum, name) => sum + NameMatcher.countLetters(name.arabic_name), 0)
+    }
+  };
+
+  static DEFAULT_RANKING = 'id';
+
+  /**
+   * Number of Arabic letters in a name, ignoring spaces, diacritics and tatweel
+   */
+  static countLetters(text) {
+    return (text.match(/[\u0621-\u063A\u0641-\u064A\u0671-\u06D3]/g) || []).length;
+  }
+
+  /**
+   * Largest combination size given its own precomputed value -> combination
+   * table. Bigger combinations search the names until this many slots remain.
+   */
+  static SUM_TABLE_SIZES = [2, 3];
+
+  /**
+   * Most combinations a single table may hold, so a large name corpus
+   * cannot exhaust memory; sizes over the cap fall back to searching
+   */
+  static MAX_TABLE_COMBINATIONS = 1000000;
+
+  constructor() {
+    const startTime = performance.now();
+    this.loader = getDataLoader();
+    this.revision = this.loader.revision;
+    this.names = [...this.loader.divineNames].sort((a, b) => a.id - b.id);
+    this.namesById = new Map(this.names.map(name => [name.id, name]));
+    this.valueToIds = {};
+    this.sumTables = {};
+    this._buildValueMap();
+    this._buildSumTables();
+    this.buildTimeMs = performance.now() - startTime;
+  }
+
+  /**
+   * Build a map of abjad values to divine name IDs for fast lookup
+   */
+  _buildValueMap() {
+    this.valueToIds = {};
+
+    for (const name of this.names) {
+      const value = name.abjad_value;
+      const nameId = name.id;
+
+      if (!this.valueToIds[value]) {
+        this.valueToIds[value] = [];
+      }
+
+      this.valueToIds[value].push(nameId);
+    }
+  }
+
+  /**
+   * Precompute, for each size in SUM_TABLE_SIZES, a Map of total value to
+   * every set of that many distinct names adding up to it. Each set is
+   * stored as a flat run of `size` ids in ascending order, and the runs
+   * come out in ascending id order, so lookups need no sorting.
+   */
+  _buildSumTables() {
+    this.sumTables = {};
+
+    for (const size of NameMatcher.SUM_TABLE_SIZES) {
+      if (this._countCombinations(size) > NameMatcher.MAX_TABLE_COMBINATIONS) {
+        console.log(`[INFO] ${this.names.length} names give too many sets of ${size}; searching those instead`);
+        continue;
+      }
+
+      const table = new Map();
+      const ids = [];
+      const collect = (startIndex, total) => {
+        if (ids.length === size) {
+          let runs = table.get(total);
+          if (!runs) {
+            runs = [];
+            table.set(total, runs);
+          }
+          runs.push(...ids);
+          return;
+        }
+        for (let i = startIndex; i < this.names.length; i++) {
+          ids.push(this.names[i].id);
+          collect(i + 1, total + this.names[i].abjad_value);
+          ids.pop();
+        }
+      };
+      collect(0, 0);
+      this.sumTables[size] = table;
+    }
+  }
+
+  /**
+   * Number of distinct sets of `size` names in the dataset
+   */
+  _countCombinations(size) {
+    let count = 1;
+    for (let i = 0; i < size; i++) {
+      count = count * (this.names.length - i) / (i + 1);
+    }
+    return count;
+  }
+
+  /**
+   * Get a divine name by its ID
+   */
+  _getNameById(nameId) {
+    return this.namesById.get(nameId) || null;
+  }
+
+  /**
+   * The fields a match result reports for one Divine Name
+   */
+  _summarize(name) {
+    return {
+      id: name.id,
+      arabic_name: name.arabic_name,
+      english_name: name.english_name,
+      abjad_value: name.abjad_value,
+      meaning: name.meaning,
+      category: name.category
+    };
+  }
+
+  /**
+   * Check and index the constraints a search must meet
+   * @param {Object} [constraints] - { required, excluded: name IDs;
+   *   allowRepeat: let a name appear more than once; minValue, maxValue:
+   *   bounds on each name's value }
+   * @returns {Object|null} The constraints with `required` as sorted unique
+   *   IDs and `excluded` as a Set, or null when they rule nothing out
+   */
+  _prepareConstraints(constraints = {}) {
+    const {
+      required = [],
+      excluded = [],
+      allowRepeat = false,
+      minValue = -Infinity,
+      maxValue = Infinity
+    } = constraints;
+
+    if (required.length === 0 && excluded.length === 0 && !allowRepeat &&
+        minValue === -Infinity && maxValue === Infinity) {
+      return null;
+    }
+    for (const id of [...required, ...excluded]) {
+      if (!this.namesById.has(id)) {
+        throw new Error(Messages.format('NAME_ID_UNKNOWN', { id }));
+      }
+    }
+
+    return {
+      required: [...new Set(required)].sort((a, b) => a - b),
+      excluded: new Set(excluded),
+      allowRepeat: Boolean(allowRepeat),
+      minValue,
+      maxValue
+    };
+  }
+
+  /**
+   * Whether a name may appear in a combination under prepared constraints
+   */
+  _allowsName(name, constraints) {
+    return !constraints.excluded.has(name.id) &&
+      name.abjad_value >= constraints.minValue &&
+      name.abjad_value <= constraints.maxValue;
+  }
+
+  /**
+   * Whether a set of name IDs meets prepared constraints (or there are none)
+   */
+  _acceptsSet(ids, constraints) {
+    return !constraints || (
+      ids.every(id => this._allowsName(this.namesById.get(id), constraints)) &&
+      constraints.required.every(id => ids.includes(id))
+    );
+  }
+
+  /**
+   * Rank combinations and cut out one page of them
+   * @param {Array} combinations - Every combination found, in ascending ID order
+   * @param {Function} namesOf - Returns a combination's names
+   * @param {Object} [page] - { sort, offset, limit }
+   * @returns {Object} { combinations, sort, offset, limit, total, hasMore }
+   */
+  _rankPage(combinations, namesOf, page = {}) {
+    const {
+      sort = NameMatcher.DEFAULT_RANKING,
+      offset = 0,
+      limit = NameMatcher.DEFAULT_PAGE_SIZE
+    } = page;
+    const ranking = NameMatcher.RANKINGS[sort];
+    if (!ranking) {
+      throw new Error(Messages.format('SORT_UNKNOWN', {
+        sort,
+        sorts: Messages.list(Object.keys(NameMatcher.RANKINGS))
+      }));
+    }
+
+    // Array sort is stable, so equal scores stay in ID order
+    const ranked = combinations
+      .map(combination => ({ combination, score: ranking.score(namesOf(combination)) }))
+      .sort((a, b) => a.score - b.score)
+      .map(entry => entry.combination);
+
+    return {
+      combinations: ranked.slice(offset, offset + limit),
+      sort,
+      offset,
+      limit,
+      total: ranked.length,
+      hasMore: offset + limit < ranked.length
+    };
+  }
+
+  /**
+   * Sets of `size` distinct names adding up to `total` from the precomputed
+   * table, in ascending id order, skipping sets whose first id is not above
+   * `afterId` and any that `accept` (given the ids) turns down. Null when
+   * that size has no table.
+   * @returns {Array|null} Arrays of ids
+   */
+  _lookupSums(size, total, afterId = -Infinity, limit = Infinity, accept = null) {
+    const table = this.sumTables[size];
+    if (!table) {
+      return null;
+    }
+
+    const runs = table.get(total) || [];
+    const sets = [];
+    for (let i = 0; i < runs.length && sets.length < limit; i += size) {
+      if (runs[i] > afterId) {
+        const ids = runs.slice(i, i + size);
+        if (!accept || accept(ids)) {
+          sets.push(ids);
+        }
+      }
+    }
+    return sets;
+  }
+
+  /**
+   * Find Divine Names with exact Abjad value match. Under `constraints`
+   * (see _prepareConstraints) a name only counts when it is allowed and is
+   * every required name.
+   */
+  findDirectMatch(abjadValue, constraints = {}) {
+    const startTime = performance.now();
+    const rules = this._prepareConstraints(constraints);
+
+    const result = {
+      found: false,
+      type: 'direct_match',
+      abjadValue: abjadValue,
+      count: 0,
+      divineNames: [],
+      responseTimeMs: 0.0
+    };
+
+    // Look up value in names index
+    const matchingNames = this.loader.getNamesByValue(abjadValue)
+      .filter(name => this._acceptsSet([name.id], rules));
+
+    if (matchingNames.length > 0) {
+      result.found = true;
+      result.count = matchingNames.length;
+      result.divineNames = matchingNames;
+    }
+
+    result.responseTimeMs = performance.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Find pairs of Divine Names whose sum equals the target Abjad value.
+   * Every pair is gathered, ranked and paged (see _rankPage); `page` is
+   * { sort, offset, limit }. `constraints` (see _prepareConstraints) limit
+   * which names may pair up; with allowRepeat a name may pair with itself.
+   */
+  findTwoNameCombination(abjadValue, page = {}, constraints = {}) {
+    const startTime = performance.now();
+    const rules = this._prepareConstraints(constraints);
+
+    const result = {
+      found: false,
+      type: 'two_name_combination',
+      abjadValue: abjadValue,
+      count: 0,
+      combinations: [],
+      responseTimeMs: 0.0
+    };
+
+    // Pairs come from the precomputed table where one applies, already in id order
+    const cap = NameMatcher.MAX_RANKED_COMBINATIONS;
+    const pairs = this._searchSums(2, abjadValue, cap + 1, rules);
+
+    const combinations = pairs.slice(0, cap).map(([name1Id, name2Id]) => ({
+      name1: this._summarize(this._getNameById(name1Id)),
+      name2: this._summarize(this._getNameById(name2Id)),
+      total: abjadValue
+    }));
+    Object.assign(result, this._rankPage(combinations, combo => [combo.name1, combo.name2], page));
+    result.complete = pairs.length <= cap;
+
+    if (result.total > 0) {
+      result.found = true;
+      result.count = result.combinations.length;
+    }
+
+    result.responseTimeMs = performance.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Find sets of `nameCount` distinct Divine Names whose values sum to the
+   * target. Each combination lists its names in ascending ID order, so every
+   * set appears once; the sets are ranked and paged like
+   * findTwoNameCombination's and `constraints` apply in the same way.
+   */
+  findCombinations(abjadValue, nameCount = 3, page = {}, constraints = {}) {
+    return runSteps(this.findCombinationsInSteps(abjadValue, nameCount, page, constraints));
+  }
+
+  /**
+   * findCombinations one search step at a time. Yields
+   * { nameCount, step, steps, combinations } with the combinations each step
+   * found and returns the findCombinations result. responseTimeMs counts
+   * only the time spent searching, not pauses between steps.
+   */
+  *findCombinationsInSteps(abjadValue, nameCount = 3, page = {}, constraints = {}) {
+    let resumedAt = performance.now();
+    let busyMs = 0;
+    const rules = this._prepareConstraints(constraints);
+
+    const result = {
+      found: false,
+      type: 'multi_name_combination',
+      abjadValue: abjadValue,
+      nameCount: nameCount,
+      count: 0,
+      combinations: [],
+      responseTimeMs: 0.0
+    };
+
+    if (nameCount < 2 || nameCount > NameMatcher.MAX_COMBINATION_NAMES) {
+      throw new Error(
+        `Combination size must be between 2 and ${NameMatcher.MAX_COMBINATION_NAMES}, got ${nameCount}`
+      );
+    }
+
+    const describe = ids => ({
+      names: ids.map(id => this._summarize(this._getNameById(id))),
+      total: abjadValue
+    });
+
+    // Search one past the cap to learn whether it cut anything off
+    const cap = NameMatcher.MAX_RANKED_COMBINATIONS;
+    const found = [];
+    for (const { step, steps, sets } of this._searchSumsInSteps(nameCount, abjadValue, cap + 1, rules)) {
+      const combinations = sets.map(describe);
+      found.push(...combinations);
+
+      busyMs += performance.now() - resumedAt;
+      yield { nameCount, step, steps, combinations };
+      resumedAt = performance.now();
     }
 
-    console.log(`Total Abjad Value: ${result.totalValue}`);
+    Object.assign(result, this._rankPage(found.slice(0, cap), combo => combo.names, page));
+    result.complete = found.length <= cap;
 
-    if (result.warnings.length > 0) {
-      console.log("\nWarnings:");
-      result.warnings.forEach(warning => console.log(`  - ${warning}`));
+    if (result.total > 0) {
+      result.found = true;
+      result.count = result.combinations.length;
+    }
+
+    result.responseTimeMs = busyMs + performance.now() - resumedAt;
+    return result;
+  }
+
+  /**
+   * Sets of `nameCount` distinct names adding up to `total`, in ascending id
+   * order. Leading names are chosen by search; once the slots left have a
+   * precomputed table, the rest are looked up in it. Under prepared
+   * `constraints` only allowed names are used and every set holds the
+   * required ones; with allowRepeat the ids only need to be non-decreasing.
+   * @returns {Array} Arrays of ids
+   */
+  _searchSums(nameCount, total, limit, constraints = null) {
+    return runSteps(this._searchSumsInSteps(nameCount, total, limit, constraints));
+  }
+
+  /**
+   * _searchSums one first name at a time. After each, yields
+   * { step, steps, sets } with the sets that step found; returns them all.
+   * A size with its own table is a single step.
+   */
+  *_searchSumsInSteps(nameCount, total, limit, constraints = null) {
+    const sets = [];
+    const names = constraints ? this.names.filter(name => this._allowsName(name, constraints)) : this.names;
+    const repeat = Boolean(constraints && constraints.allowRepeat);
+    const required = constraints ? constraints.required : [];
+    if (names.length === 0 || (!repeat && names.length < nameCount)) {
+      return sets;
+    }
+
+    const values = names.map(name => name.abjad_value);
+    const minValue = Math.min(...values);
+    const maxValue = Math.max(...values);
+    const chosen = [];
+    const accept = ids => this._acceptsSet(ids, constraints);
+
+    // Ids are chosen in ascending order, so a required name has to be taken
+    // before any name with a higher id
+    const missingRequired = () => required.filter(id => !chosen.includes(id));
+
+    // Put names[i] in the next slot and search the slots after it
+    const tryName = (i, remaining, slotsLeft) => {
+      const rest = remaining - names[i].abjad_value;
+
+      // Every remaining slot needs at least the smallest value and at most the largest
+      if (rest < minValue * (slotsLeft - 1) || rest > maxValue * (slotsLeft - 1)) {
+        return;
+      }
+
+      chosen.push(names[i].id);
+      search(repeat ? i : i + 1, rest);
+      chosen.pop();
+    };
+
+    const search = (startIndex, remaining) => {
+      const slotsLeft = nameCount - chosen.length;
+      const lastId = chosen.length > 0 ? chosen[chosen.length - 1] : -Infinity;
+      const missing = missingRequired();
+      if (missing.length > slotsLeft) {
+        return;
+      }
+
+      // The tables hold distinct names only, so they cannot serve repeats
+      const tail = repeat ? null : this._lookupSums(slotsLeft, remaining, lastId, limit - sets.length,
+        constraints && (ids => accept([...chosen, ...ids])));
+      if (tail) {
+        for (const ids of tail) {
+          sets.push([...chosen, ...ids]);
+        }
+        return;
+      }
+
+      // Last slot without a table: look the complement up instead of scanning
+      if (slotsLeft === 1) {
+        const ids = (this.valueToIds[remaining] || [])
+          .filter(id => (repeat ? id >= lastId : id > lastId) && accept([...chosen, id]));
+        for (const id of ids) {
+          if (sets.length >= limit) {
+            return;
+          }
+          sets.push([...chosen, id]);
+        }
+        return;
+      }
+
+      for (let i = startIndex; i < names.length && sets.length < limit; i++) {
+        if (missing.length > 0 && names[i].id > missing[0]) {
+          break;
+        }
+        tryName(i, remaining, slotsLeft);
+      }
+    };
+
+    if (this.sumTables[nameCount] && !repeat) {
+      search(0, total);
+      yield { step: 1, steps: 1, sets };
+      return sets;
+    }
+
+    for (let i = 0; i < names.length && sets.length < limit; i++) {
+      const before = sets.length;
+      if (required.length === 0 || names[i].id <= required[0]) {
+        tryName(i, total, nameCount);
+      }
+      yield { step: i + 1, steps: names.length, sets: sets.slice(before) };
+    }
+    return sets;
+  }
+
+  /**
+   * Find the single names and pairs whose values come closest to the target
+   * from below and above. Used when nothing matches exactly; suggestions
+   * further away than `tolerance`, or not meeting `constraints`, are left out,
+   * and pairs are only suggested when `maxNames` allows two names.
+   */
+  findNearest(abjadValue, tolerance = NameMatcher.DEFAULT_NEAREST_TOLERANCE, limit = 3, constraints = {}, maxNames = 2) {
+    const startTime = performance.now();
+    const rules = this._prepareConstraints(constraints);
+
+    const result = {
+      found: false,
+      type: 'nearest',
+      abjadValue: abjadValue,
+      tolerance: tolerance,
+      hasSuggestions: false,
+      below: [],
+      above: [],
+      responseTimeMs: 0.0
+    };
+
+    const candidates = [];
+    const addCandidate = (ids) => {
+      if (!this._acceptsSet(ids, rules)) {
+        return;
+      }
+      const names = ids.map(id => this._getNameById(id));
+      const total = names.reduce((sum, name) => sum + name.abjad_value, 0);
+      const difference = total - abjadValue;
+      if (difference !== 0 && Math.abs(difference) <= tolerance) {
+        candidates.push({ names: names.map(name => this._summarize(name)), total, difference });
+      }
+    };
+
+    // Only the values within tolerance that a name or pair can reach are visited
+    const values = this.names.map(name => name.abjad_value);
+    const lowest = Math.max(Math.ceil(abjadValue - tolerance), Math.min(...values));
+    const highest = Math.min(Math.floor(abjadValue + tolerance), Math.min(maxNames, 2) * Math.max(...values));
+    for (let value = lowest; value <= highest; value++) {
+      if (value === abjadValue) {
+        continue;
+      }
+      for (const id of this.valueToIds[value] || []) {
+        addCandidate([id]);
+      }
+      if (maxNames < 2) {
+        continue;
+      }
+      const pairs = (!rules && this._lookupSums(2, value)) || this._searchSums(2, value, Infinity, rules);
+      for (const ids of pairs) {
+        addCandidate(ids);
+      }
+    }
+
+    // Closest first; on a tie prefer a single name, then lower IDs
+    candidates.sort((a, b) =>
+      Math.abs(a.difference) - Math.abs(b.difference) ||
+      a.names.length - b.names.length ||
+      a.names[0].id - b.names[0].id ||
+      (a.names[1] ? a.names[1].id : 0) - (b.names[1] ? b.names[1].id : 0)
+    );
+
+    result.below = candidates.filter(c => c.difference < 0).slice(0, limit);
+    result.above = candidates.filter(c => c.difference > 0).slice(0, limit);
+    result.hasSuggestions = result.below.length > 0 || result.above.length > 0;
+
+    result.responseTimeMs = performance.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Unified matching function: direct match first, then combinations of
+   * two names and, when allowed, up to `maxNames` names (1 searches single
+   * names only). When nothing
+   * matches, falls back to the nearest values within `tolerance`.
+   * `page` ({ sort, offset, limit }) ranks and pages the combinations and
+   * `constraints` (see _prepareConstraints) apply to every stage.
+   */
+  findMatch(abjadValue, maxNames = 2, tolerance = NameMatcher.DEFAULT_NEAREST_TOLERANCE, page = {}, constraints = {}) {
+    return runSteps(this.findMatchInSteps(abjadValue, maxNames, tolerance, page, constraints));
+  }
+
+  /**
+   * findMatch one step at a time, so a caller can report progress or stop
+   * between steps. Yields the findCombinationsInSteps progress of each
+   * combination size searched and returns the findMatch result.
+   */
+  *findMatchInSteps(abjadValue, maxNames = 2, tolerance = NameMatcher.DEFAULT_NEAREST_TOLERANCE, page = {}, constraints = {}) {
+    const directResult = this.findDirectMatch(abjadValue, constraints);
+
+    if (directResult.found) {
+      return directResult;
+    }
+
+    let result = maxNames >= 2
+      ? this.findTwoNameCombination(abjadValue, page, constraints)
+      : directResult;
+
+    for (let nameCount = 3; !result.found && nameCount <= maxNames; nameCount++) {
+      result = yield* this.findCombinationsInSteps(abjadValue, nameCount, page, constraints);
+    }
+
+    if (!result.found && tolerance > 0) {
+      const nearestResult = this.findNearest(abjadValue, tolerance, 3, constraints, maxNames);
+      nearestResult.responseTimeMs += result.responseTimeMs;
+      return nearestResult;
     }
+
+    return result;
   }
 }
 
-// Global calculator instance
-let _calculator = null;
+// Global matcher instance
+let _matcher = null;
 
-function getCalculator() {
-  if (_calculator === null) {
-    _calculator = new AbjadCalculator();
+function getMatcher() {
+  // Rebuild when the data has been (re)loaded since the matcher was built
+  if (_matcher === null || _matcher.revision !== getDataLoader().revision) {
+    _matcher = new NameMatcher();
   }
-  return _calculator;
+  return _matcher;
 }
 
 // ============================================================================
-// NAME MATCHER MODULE
+// TRANSLITERATION MODULE
 // ============================================================================
 
-class NameMatcher {
-  constructor() {
-    this.loader = getDataLoader();
-    this.valueToIds = {};
-    this._buildValueMap();
+class Transliterator {
+  /**
+   * Common names whose spelling cannot be guessed letter by letter.
+   * Keys are lower-case Roman spellings; values are Urdu-script spellings.
+   */
+  static COMMON_NAMES = {
+    'abdullah': ['عبداللہ', 'عبدالله'],
+    'abdul': ['عبدال'],
+    'abu': ['ابو'],
+    'abubakar': ['ابوبکر'],
+    'ahmad': ['احمد'],
+    'ahmed': ['احمد'],
+    'aisha': ['عائشہ'],
+    'ayesha': ['عائشہ'],
+    'ali': ['علی'],
+    'amna': ['آمنہ'],
+    'aamna': ['آمنہ'],
+    'asma': ['اسماء', 'عاصمہ'],
+    'bilal': ['بلال'],
+    'fatima': ['فاطمہ'],
+    'fatimah': ['فاطمہ'],
+    'hamza': ['حمزہ'],
+    'hasan': ['حسن'],
+    'hassan': ['حسن'],
+    'husain': ['حسین'],
+    'hussain': ['حسین'],
+    'ibrahim': ['ابراہیم'],
+    'khadija': ['خدیجہ'],
+    'maryam': ['مریم'],
+    'mariam': ['مریم'],
+    'mohammad': ['محمد'],
+    'mohammed': ['محمد'],
+    'muhammad': ['محمد'],
+    'muhammed': ['محمد'],
+    'omar': ['عمر'],
+    'umar': ['عمر'],
+    'usman': ['عثمان'],
+    'uthman': ['عثمان'],
+    'yusuf': ['یوسف'],
+    'yousuf': ['یوسف'],
+    'zahra': ['زہرا'],
+    'zainab': ['زینب'],
+    'zaynab': ['زینب'],
+  };
+
+  /**
+   * Consonants, most common spelling first. Digraphs are matched before
+   * single letters.
+   */
+  static CONSONANTS = {
+    'kh': ['خ'],
+    'gh': ['غ'],
+    'sh': ['ش'],
+    'ch': ['چ'],
+    'zh': ['ژ'],
+    'th': ['ث', 'تھ'],
+    'dh': ['ذ', 'دھ'],
+    'ph': ['ف', 'پھ'],
+    'b': ['ب'],
+    'p': ['پ'],
+    't': ['ت', 'ط'],
+    'j': ['ج'],
+    'h': ['ح', 'ہ'],
+    'd': ['د'],
+    'r': ['ر'],
+    'z': ['ز', 'ذ', 'ض', 'ظ'],
+    's': ['س', 'ص', 'ث'],
+    'f': ['ف'],
+    'q': ['ق'],
+    'k': ['ک'],
+    'c': ['ک'],
+    'g': ['گ'],
+    'l': ['ل'],
+    'm': ['م'],
+    'n': ['ن'],
+    'w': ['و'],
+    'v': ['و'],
+    'y': ['ی'],
+    'x': ['کس'],
+  };
+
+  /**
+   * Vowels by position in the word. Short vowels inside a word are usually
+   * not written, hence the empty option.
+   */
+  static VOWELS = {
+    initial: {
+      'aa': ['آ'], 'a': ['ا', 'ع'], 'i': ['ا', 'ع'], 'e': ['ا', 'ع'],
+      'u': ['ا', 'ع'], 'o': ['ا', 'ع'],
+    },
+    medial: {
+      'aa': ['ا'], 'ee': ['ی'], 'ii': ['ی'], 'oo': ['و'], 'uu': ['و'],
+      'ai': ['ی', 'ئ'], 'ay': ['ی'], 'au': ['و'], 'aw': ['و'], 'ou': ['و'],
+      'a': ['', 'ا', 'ع'], 'i': ['', 'ی'], 'e': ['', 'ی'], 'u': ['', 'و'], 'o': ['و', ''],
+    },
+    final: {
+      'aa': ['ا'], 'ah': ['ہ', 'ا'], 'ee': ['ی'], 'ii': ['ی'], 'oo': ['و'], 'uu': ['و'],
+      'a': ['ہ', 'ا'], 'i': ['ی'], 'e': ['ے', 'ہ'], 'u': ['و'], 'o': ['و'],
+    },
+  };
+
+  static DEFAULT_LIMIT = 8;
+
+  /**
+   * Check whether input is written in Latin letters rather than Arabic script
+   */
+  static isLatin(text) {
+    return /[A-Za-z]/.test(text) && !/[\u0600-\u06FF\u0750-\u077F]/.test(text);
   }
 
   /**
-   * Build a map of abjad values to divine name IDs for fast lookup
+   * Split one Roman word into tokens, each with its candidate spellings
    */
-  _buildValueMap() {
-    this.valueToIds = {};
+  static tokenize(word) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < word.length) {
+      const rest = word.slice(i);
+      const position = i === 0 ? 'initial' : null;
+      let matched = null;
+
+      // A doubled consonant is one letter with shadda, counted once
+      if (rest.length > 1 && rest[0] === rest[1] && this.CONSONANTS[rest[0]]) {
+        tokens.push({ latin: rest.slice(0, 2), options: this.CONSONANTS[rest[0]] });
+        i += 2;
+        continue;
+      }
 
-    for (const name of this.loader.divineNames) {
-      const value = name.abjad_value;
-      const nameId = name.id;
+      for (const length of [2, 1]) {
+        const chunk = rest.slice(0, length);
+        if (chunk.length < length) continue;
 
-      if (!this.valueToIds[value]) {
-        this.valueToIds[value] = [];
+        const vowelTable = position
+          || (i + length === word.length ? 'final' : 'medial');
+        if (this.VOWELS[vowelTable][chunk]) {
+          matched = { latin: chunk, options: this.VOWELS[vowelTable][chunk] };
+        } else if (this.CONSONANTS[chunk]) {
+          matched = { latin: chunk, options: this.CONSONANTS[chunk] };
+        }
+        if (matched) break;
       }
 
-      this.valueToIds[value].push(nameId);
+      if (!matched) {
+        // Unknown characters (digits, punctuation) are dropped
+        matched = { latin: rest[0], options: [''] };
+      }
+
+      tokens.push({ ...matched, vowel: !this.CONSONANTS[matched.latin] });
+      i += matched.latin.length;
+    }
+
+    // Names ending in "-an", "-al", "-ar" (Khan, Rizwan, Bilal) usually
+    // write the last 'a' as alif
+    const last = tokens.length - 1;
+    if (last >= 2 && !tokens[last].vowel && tokens[last - 1].latin === 'a' && !tokens[last - 2].vowel) {
+      tokens[last - 1] = { ...tokens[last - 1], options: ['ا', '', 'ع'] };
     }
+
+    return tokens;
   }
 
   /**
-   * Get a divine name by its ID
+   * Arabic-script spellings for one Roman word, most likely first.
+   * Each spelling carries a cost: the sum of the option ranks it used.
    */
-  _getNameById(nameId) {
-    for (const name of this.loader.divineNames) {
-      if (name.id === nameId) {
-        return name;
+  static transliterateWord(word, limit = this.DEFAULT_LIMIT) {
+    const lower = word.toLowerCase();
+    const results = (this.COMMON_NAMES[lower] || []).map(arabic => ({
+      arabic,
+      cost: -1,
+      source: 'dictionary'
+    }));
+
+    // Beam search over the token options, keeping the cheapest partial spellings
+    let beam = [{ arabic: '', cost: 0 }];
+    for (const token of this.tokenize(lower)) {
+      const next = [];
+      for (const partial of beam) {
+        token.options.forEach((option, rank) => {
+          next.push({ arabic: partial.arabic + option, cost: partial.cost + rank });
+        });
+      }
+      next.sort((a, b) => a.cost - b.cost);
+      beam = next.slice(0, limit * 4);
+    }
+
+    for (const candidate of beam) {
+      if (candidate.arabic) {
+        results.push({ arabic: candidate.arabic, cost: candidate.cost, source: 'rules' });
       }
     }
-    return null;
+
+    // Keep the first (cheapest) occurrence of every spelling
+    const seen = new Set();
+    return results.filter(result => {
+      if (seen.has(result.arabic)) return false;
+      seen.add(result.arabic);
+      return true;
+    }).slice(0, limit);
   }
 
   /**
-   * Find Divine Names with exact Abjad value match
+   * Arabic-script spellings for a full Roman name, most likely first
    */
-  findDirectMatch(abjadValue) {
-    const startTime = performance.now();
+  static transliterate(text, limit = this.DEFAULT_LIMIT) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    let combined = [{ arabic: '', cost: 0, source: 'dictionary' }];
+
+    for (const word of words) {
+      const wordCandidates = this.transliterateWord(word, limit);
+      const next = [];
+      for (const partial of combined) {
+        for (const candidate of wordCandidates) {
+          next.push({
+            arabic: partial.arabic ? `${partial.arabic} ${candidate.arabic}` : candidate.arabic,
+            cost: partial.cost + candidate.cost,
+            source: partial.source === 'dictionary' && candidate.source === 'dictionary'
+              ? 'dictionary'
+              : 'rules'
+          });
+        }
+      }
+      next.sort((a, b) => a.cost - b.cost);
+      combined = next.slice(0, limit);
+    }
 
-    const result = {
-      found: false,
-      type: 'direct_match',
-      abjadValue: abjadValue,
-      count: 0,
-      divineNames: [],
-      responseTimeMs: 0.0
-    };
+    return combined.filter(candidate => candidate.arabic);
+  }
+}
 
-    // Look up value in names index
-    const matchingNames = this.loader.getNamesByValue(abjadValue);
+// ============================================================================
+// DATA VERIFICATION MODULE
+// ============================================================================
 
-    if (matchingNames.length > 0) {
-      result.found = true;
-      result.count = matchingNames.length;
-      result.divineNames = matchingNames;
-    }
+class DataVerifier {
+  /**
+   * The dataset records each value without the leading definite article,
+   * except for the name of Allah, which is counted in full
+   */
+  static ARTICLE = 'ال';
+  static ARTICLE_EXCEPTIONS = new Set(['الله']);
 
-    result.responseTimeMs = performance.now() - startTime;
-    return result;
+  constructor() {
+    this.loader = getDataLoader();
+    this.calculator = getCalculator();
   }
 
   /**
-   * Find pairs of Divine Names whose sum equals the target Abjad value
+   * The part of a cleaned name that carries its recorded value
    */
-  findTwoNameCombination(abjadValue, limit = 10) {
-    const startTime = performance.now();
+  _countedText(cleanedName, excludeArticle) {
+    if (excludeArticle &&
+        cleanedName.startsWith(DataVerifier.ARTICLE) &&
+        cleanedName.length > DataVerifier.ARTICLE.length &&
+        !DataVerifier.ARTICLE_EXCEPTIONS.has(cleanedName)) {
+      return cleanedName.slice(DataVerifier.ARTICLE.length);
+    }
+    return cleanedName;
+  }
 
-    const result = {
-      found: false,
-      type: 'two_name_combination',
-      abjadValue: abjadValue,
-      count: 0,
-      combinations: [],
-      responseTimeMs: 0.0
+  /**
+   * Letters of a name that the abjad table has no value for once the
+   * normalization profile has mapped hamza forms, madda, ...
+   */
+  unknownLetters(arabicName, systemKey = null, profileKey = null) {
+    const values = this.loader.getAbjadSystem(systemKey).values;
+    const text = TextProcessor.applyNormalizationProfile(
+      TextProcessor.normalizeVariants(TextProcessor.removeDiacritics(arabicName)), profileKey);
+    const unknown = [];
+    for (const char of text) {
+      if (char !== ' ' && values[char] === undefined && !unknown.includes(char)) {
+        unknown.push(char);
+      }
+    }
+    return unknown;
+  }
+
+  /**
+   * Recompute every Divine Name's abjad_value
+   * @param {Object} [options]
+   * @param {string} [options.system] - Abjad system key (defaults to the active system)
+   * @param {string} [options.profile] - Normalization profile (defaults to 'urdu')
+   * @param {boolean} [options.excludeArticle] - Leave out the leading ال (default true)
+   * @returns {Object} { system, profile, checked, mismatches, unknownLetters, failures }
+   */
+  verifyNames(options = {}) {
+    const system = this.loader.getAbjadSystem(options.system).key;
+    const profile = TextProcessor.getNormalizationProfile(options.profile).key;
+    const excludeArticle = options.excludeArticle !== false;
+    const report = {
+      system,
+      profile,
+      checked: 0,
+      mismatches: [],
+      unknownLetters: [],
+      failures: []
     };
 
-    // Create set of all available values for O(1) lookup
-    const availableValues = new Set(Object.keys(this.valueToIds).map(Number));
+    for (const name of this.loader.divineNames) {
+      report.checked += 1;
 
-    // Track combinations to avoid duplicates
-    const recordedCombinations = new Set();
-    const combinationsList = [];
+      const letters = this.unknownLetters(name.arabic_name, system, profile);
+      if (letters.length > 0) {
+        report.unknownLetters.push({ id: name.id, arabic_name: name.arabic_name, letters });
+      }
 
-    // Iterate through all divine names
-    for (const name1 of this.loader.divineNames) {
-      const name1Id = name1.id;
-      const name1Value = name1.abjad_value;
+      const result = this.calculateName(name, { system, profile, excludeArticle });
 
-      // Calculate required complementary value
-      const requiredValue = abjadValue - name1Value;
+      if (!result.success) {
+        report.failures.push({ id: name.id, arabic_name: name.arabic_name, error: result.errors.join(', ') });
+        continue;
+      }
 
-      // Check if complementary value exists
-      if (availableValues.has(requiredValue)) {
-        const name2Ids = this.valueToIds[requiredValue];
+      if (result.totalValue !== name.abjad_value) {
+        report.mismatches.push({
+          id: name.id,
+          arabic_name: name.arabic_name,
+          english_name: name.english_name,
+          storedValue: name.abjad_value,
+          computedValue: result.totalValue,
+          difference: result.totalValue - name.abjad_value
+        });
+      }
+    }
 
-        for (const name2Id of name2Ids) {
-          // Skip self-combinations
-          if (name1Id === name2Id) {
-            continue;
-          }
+    return report;
+  }
 
-          // Create canonical form to avoid duplicates (A+B = B+A)
-          const canonical = JSON.stringify([name1Id, name2Id].sort());
+  /**
+   * Calculate a Divine Name the way its abjad_value is recorded
+   * @param {Object} name - Entry from the dataset
+   * @param {Object} [options] - { system, profile, excludeArticle } as for verifyNames
+   * @returns {Object} The AbjadCalculator result plus `counted` (the text that
+   *   was counted) and `articleExcluded`; { success: false, errors } when the
+   *   name cannot be processed
+   */
+  calculateName(name, options = {}) {
+    const system = this.loader.getAbjadSystem(options.system).key;
+    const profile = TextProcessor.getNormalizationProfile(options.profile).key;
+    const [cleaned, status] = TextProcessor.processNameInput(name.arabic_name, true, {
+      profile,
+      stripHonorifics: false
+    });
+    if (!status.success) {
+      return { success: false, errors: status.errors };
+    }
 
-          if (recordedCombinations.has(canonical)) {
-            continue;
-          }
+    const counted = this._countedText(cleaned, options.excludeArticle !== false);
+    return {
+      ...this.calculator.calculateAbjadValue(counted, { system }),
+      counted,
+      articleExcluded: counted !== cleaned
+    };
+  }
 
-          recordedCombinations.add(canonical);
+  /**
+   * Compare a value → names index (data/asmaul_husna_index.json) with the dataset
+   * @param {Object} namesIndex - Index keyed by abjad value
+   * @returns {Object} { checked, missing, extra, mismatched } (see DataLoader.diffIndex)
+   */
+  verifyIndex(namesIndex) {
+    return DataLoader.diffIndex(namesIndex, this.loader.divineNames);
+  }
 
-          // Get full name details
-          const name2 = this._getNameById(name2Id);
-          if (!name2) {
-            continue;
-          }
+  /**
+   * Compare a letter → value table with an abjad system
+   * @param {Object} abjadValues - Letter → value table
+   * @param {string} [systemKey] - System to compare with (defaults to the active system)
+   * @returns {Object} { system, checked, missing, extra, mismatched, usedButMissing }
+   *   usedButMissing lists letters that occur in the Divine Names but not in the table
+   */
+  verifyLetterTable(abjadValues, systemKey = null) {
+    const system = this.loader.getAbjadSystem(systemKey);
+    const report = {
+      system: system.key,
+      checked: Object.keys(abjadValues).length,
+      missing: [],
+      extra: [],
+      mismatched: [],
+      usedButMissing: []
+    };
+
+    for (const [letter, value] of Object.entries(system.values)) {
+      if (abjadValues[letter] === undefined) {
+        report.missing.push(letter);
+      } else if (abjadValues[letter] !== value) {
+        report.mismatched.push({ letter, expected: value, actual: abjadValues[letter] });
+      }
+    }
+
+    for (const letter of Object.keys(abjadValues)) {
+      if (system.values[letter] === undefined) {
+        report.extra.push(letter);
+      }
+    }
 
-          // Build combination result
-          const combination = {
-            name1: {
-              id: name1Id,
-              arabic_name: name1.arabic_name,
-              english_name: name1.english_name,
-              abjad_value: name1Value,
-              meaning: name1.meaning
-
-            },
-            name2: {
-              id: name2Id,
-              arabic_name: name2.arabic_name,
-              english_name: name2.english_name,
-              abjad_value: name2.abjad_value,
-              meaning: name2.meaning
-
-            },
-            total: abjadValue
-          };
-
-          combinationsList.push(combination);
+    for (const name of this.loader.divineNames) {
+      const text = TextProcessor.normalizeVariants(TextProcessor.removeDiacritics(name.arabic_name));
+      for (const char of text) {
+        if (system.values[char] !== undefined && abjadValues[char] === undefined &&
+            !report.usedButMissing.includes(char)) {
+          report.usedButMissing.push(char);
         }
       }
     }
 
-    // Sort by name IDs and limit results
-    combinationsList.sort((a, b) => {
-      const diff = a.name1.id - b.name1.id;
-      return diff !== 0 ? diff : a.name2.id - b.name2.id;
-    });
+    return report;
+  }
+}
 
-    result.combinations = combinationsList.slice(0, limit);
+// ============================================================================
+// NAME CATALOGUE MODULE
+// ============================================================================
 
-    if (result.combinations.length > 0) {
-      result.found = true;
-      result.count = result.combinations.length;
+class NameCatalogue {
+  /**
+   * Orders the catalogue can be listed in. Arabic and transliterated names
+   * are compared without their leading article; ties keep ascending IDs.
+   */
+  static SORTS = {
+    id: { label: 'Traditional order', compare: (a, b) => a.id - b.id },
+    value: { label: 'Abjad value', compare: (a, b) => a.abjad_value - b.abjad_value },
+    arabic: {
+      label: 'Arabic name',
+      compare: (a, b) => NameCatalogue.arabicSortKey(a).localeCompare(NameCatalogue.arabicSortKey(b), 'ar')
+    },
+    english: {
+      label: 'Transliteration',
+      compare: (a, b) => NameCatalogue.englishSortKey(a).localeCompare(NameCatalogue.englishSortKey(b), 'en')
+    }
+  };
+
+  static DEFAULT_SORT = 'id';
+
+  /**
+   * Fold text for searching: Arabic and Urdu letter forms, diacritics,
+   * case, spaces and punctuation are all ignored
+   */
+  static foldSearchText(text) {
+    return TextProcessor.applyNormalizationProfile(TextProcessor.honorificKey(String(text)), 'classical')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]|\u0640/gu, '');
+  }
+
+  static arabicSortKey(name) {
+    return NameCatalogue.foldSearchText(name.arabic_name).replace(/^ال(?=.)/, '');
+  }
+
+  static englishSortKey(name) {
+    return name.english_name.replace(/^A[a-z]{1,2}-/, '').toLowerCase();
+  }
+
+  constructor() {
+    this.loader = getDataLoader();
+    this.revision = this.loader.revision;
+    this.names = [...this.loader.divineNames].sort((a, b) => a.id - b.id);
+    this.namesById = new Map(this.names.map(name => [name.id, name]));
+    // Folded Arabic name, transliteration and meaning of each name, searched together
+    this.searchText = new Map(this.names.map(name => [
+      name.id,
+      [name.arabic_name, name.english_name, name.meaning].map(NameCatalogue.foldSearchText)
+    ]));
+  }
+
+  /**
+   * Whether a name matches every term of a search. A term of digits only
+   * matches the abjad value; any other term matches part of the Arabic
+   * name, the transliteration or the meaning.
+   */
+  _matchesTerms(name, terms) {
+    const fields = this.searchText.get(name.id);
+    return terms.every(term => (/^\d+$/.test(term)
+      ? name.abjad_value === Number(term)
+      : fields.some(field => field.includes(NameCatalogue.foldSearchText(term)))));
+  }
+
+  /**
+   * Names matching a search, filtered by value and sorted
+   * @param {Object} [options] - { query, minValue, maxValue, sort, descending }
+   * @returns {Array} Dataset entries
+   */
+  search(options = {}) {
+    const {
+      query = '',
+      minValue = -Infinity,
+      maxValue = Infinity,
+      sort = NameCatalogue.DEFAULT_SORT,
+      descending = false
+    } = options;
+    const order = NameCatalogue.SORTS[sort];
+    if (!order) {
+      throw new Error(`Unknown catalogue sort '${sort}'`);
     }
 
-    result.responseTimeMs = performance.now() - startTime;
-    return result;
+    const terms = String(query).split(/\s+/).filter(term => NameCatalogue.foldSearchText(term) !== '');
+    const names = this.names
+      .filter(name => name.abjad_value >= minValue && name.abjad_value <= maxValue)
+      .filter(name => this._matchesTerms(name, terms))
+      .sort((a, b) => order.compare(a, b) || a.id - b.id);
+    return descending ? names.reverse() : names;
   }
 
   /**
-   * Unified matching function that tries both strategies
+   * One name with its letter breakdown and the names related to its value
+   * @param {number} nameId - Divine Name ID
+   * @param {Object} [options] - { system } for the breakdown
+   * @returns {Object|null} { name, calculation, sharedValue, complements }:
+   *   `calculation` is DataVerifier.calculateName's result, `sharedValue` the
+   *   other names with the same value, and `complements` every
+   *   { name, makes } where this name plus `name` adds up to the value of
+   *   the Divine Name `makes`. Null for an unknown ID.
    */
-  findMatch(abjadValue) {
-    const directResult = this.findDirectMatch(abjadValue);
+  describe(nameId, options = {}) {
+    const name = this.namesById.get(nameId);
+    if (!name) {
+      return null;
+    }
 
-    if (directResult.found) {
-      return directResult;
+    const complements = [];
+    for (const other of this.names) {
+      if (other.id === name.id) {
+        continue;
+      }
+      for (const made of this.loader.getNamesByValue(name.abjad_value + other.abjad_value)) {
+        if (made.id !== name.id && made.id !== other.id) {
+          complements.push({ name: other, makes: this.namesById.get(made.id) });
+        }
+      }
     }
 
-    return this.findTwoNameCombination(abjadValue);
+    return {
+      name,
+      calculation: new DataVerifier().calculateName(name, { system: options.system }),
+      sharedValue: this.names.filter(other => other.abjad_value === name.abjad_value && other.id !== name.id),
+      complements
+    };
   }
 }
 
-// Global matcher instance
-let _matcher = null;
+// Global catalogue instance
+let _catalogue = null;
 
-function getMatcher() {
-  if (_matcher === null) {
-    _matcher = new NameMatcher();
+function getCatalogue() {
+  // Rebuild when the data has been (re)loaded since the catalogue was built
+  if (_catalogue === null || _catalogue.revision !== getDataLoader().revision) {
+    _catalogue = new NameCatalogue();
   }
-  return _matcher;
+  return _catalogue;
 }
 
 // ============================================================================
@@ -589,41 +2768,237 @@ function getMatcher() {
 
 /**
  * Initialize the calculator with data
+ * @param {Object} abjadValues - Default (Mashriqi) letter table
+ * @param {Array} divineNames - Divine Names dataset
+ * @param {Object} namesIndex - Abjad value -> Divine Names index
+ * @param {Object} [abjadSystems] - Extra named tables: { key: { label, values } }
  */
-function initializeCalculator(abjadValues, divineNames, namesIndex) {
+function initializeCalculator(abjadValues, divineNames, namesIndex, abjadSystems = {}) {
   const loader = getDataLoader();
-  loader.loadAll(abjadValues, divineNames, namesIndex);
+  loader.loadAll(abjadValues, divineNames, namesIndex, abjadSystems);
   console.log("[INFO] ism_e_azam_calculator_p initialized");
   console.log(`[INFO] Data loaded: ${loader.loaded}`);
   console.log(`[INFO] Divine names: ${loader.divineNames.length}`);
+  logMatcherBuild(getMatcher());
+}
+
+/**
+ * Report how long the matcher took to build its lookup tables
+ */
+function logMatcherBuild(matcher) {
+  const sizes = Object.entries(matcher.sumTables).map(([size, table]) => `${table.size} totals for ${size} names`);
+  console.log(`[INFO] Matcher tables built in ${matcher.buildTimeMs.toFixed(1)} ms (${sizes.join(', ')})`);
+}
+
+/**
+ * Load the versioned data bundles and initialize the calculator
+ * @param {Function} readJson - (fileName) => parsed JSON or a Promise of it,
+ *   called with the names in DataLoader.DATA_FILES
+ * @param {Object} [options]
+ * @param {boolean} [options.checkIndex] - Also check data/asmaul_husna_index.json
+ *   against the index rebuilt from the names
+ * @returns {Promise<Object>} Versions of the loaded bundles
+ * @throws {Error} When a bundle fails validation; error.problems lists every problem
+ */
+async function loadData(readJson, options = {}) {
+  const loader = getDataLoader();
+  await loader.loadFromFiles(readJson, options);
+  console.log("[INFO] ism_e_azam_calculator_p initialized");
+  console.log(`[INFO] Divine names: ${loader.divineNames.length}`);
+  logMatcherBuild(getMatcher());
+  return loader.versions;
+}
+
+/**
+ * Resolve once the calculator's data is loaded
+ * @returns {Promise<Object>} { revision, versions }; rejects if loading failed
+ */
+function ready() {
+  return getDataLoader().ready();
+}
+
+/**
+ * Subscribe to data lifecycle events
+ * @param {string} event - 'loaded' (after each successful load) or 'error'
+ * @param {Function} listener - Called with { revision, versions } or the Error
+ */
+function on(event, listener) {
+  getDataLoader().on(event, listener);
+}
+
+/**
+ * Remove a listener added with on()
+ */
+function off(event, listener) {
+  getDataLoader().off(event, listener);
+}
+
+/**
+ * Set the locale for library messages and labels
+ * @param {string} locale - 'en' or 'ur'
+ */
+function setLocale(locale) {
+  Messages.setLocale(locale);
+}
+
+/**
+ * Current locale for library messages and labels
+ */
+function getLocale() {
+  return Messages.locale;
+}
+
+/**
+ * List the locales library messages are available in
+ * @returns {Array} { key, label } pairs
+ */
+function listLocales() {
+  return Object.entries(Messages.LOCALES).map(([key, label]) => ({ key, label }));
+}
+
+/**
+ * List the abjad systems that can be passed to calculateAbjad
+ * @param {string} [locale] - Locale for the labels
+ * @returns {Array} { key, label } pairs
+ */
+function listAbjadSystems(locale = null) {
+  return getDataLoader().listAbjadSystems().map(system => ({
+    key: system.key,
+    label: Messages.label('system', system.key, system.label, locale)
+  }));
+}
+
+/**
+ * List the rankings that can be passed to matchDivineNames as `sort`
+ * @param {string} [locale] - Locale for the labels
+ * @returns {Array} { key, label } pairs
+ */
+function listRankings(locale = null) {
+  return Object.entries(NameMatcher.RANKINGS).map(([key, ranking]) => ({
+    key,
+    label: Messages.label('ranking', key, ranking.label, locale)
+  }));
+}
+
+/**
+ * List the orders that can be passed to browseDivineNames as `sort`
+ * @param {string} [locale] - Locale for the labels
+ * @returns {Array} { key, label } pairs
+ */
+function listCatalogueSorts(locale = null) {
+  return Object.entries(NameCatalogue.SORTS).map(([key, order]) => ({
+    key,
+    label: Messages.label('catalogueSort', key, order.label, locale)
+  }));
+}
+
+/**
+ * List the normalization profiles that can be passed to calculateAbjad
+ * @param {string} [locale] - Locale for the labels
+ * @returns {Array} { key, label } pairs
+ */
+function listNormalizationProfiles(locale = null) {
+  return Object.entries(TextProcessor.NORMALIZATION_PROFILES).map(([key, profile]) => ({
+    key,
+    label: Messages.label('profile', key, profile.label, locale)
+  }));
+}
+
+/**
+ * List the calculation modes returned under calculateAbjad's `modes`
+ * @param {string} [locale] - Locale for the labels
+ * @returns {Array} { key, label } pairs
+ */
+function listCalculationModes(locale = null) {
+  return Object.entries(AbjadCalculator.CALCULATION_MODES).map(([key, label]) => ({
+    key,
+    label: Messages.label('mode', key, label, locale)
+  }));
+}
+
+/**
+ * Convert an AbjadCalculator breakdown into the 1-based public form,
+ * flagging letters that carried a shadda
+ */
+function formatCharacterBreakdown(characterBreakdown, doubledPositions = []) {
+  const doubled = new Set(doubledPositions);
+  return characterBreakdown.map((item, i) => {
+    const formatted = {
+      position: i + 1,
+      character: item.character,
+      value: item.value,
+      doubled: doubled.has(item.position),
+      word: item.word
+    };
+    if (item.letterName) {
+      formatted.letterName = item.letterName;
+    }
+    return formatted;
+  });
 }
 
 /**
  * Calculate Abjad value for a name
  * @param {string} name - Arabic/Urdu name
+ * @param {Object} [options]
+ * @param {string} [options.system] - Abjad system key, e.g. 'mashriqi' or 'maghribi'
+ * @param {string} [options.profile] - Normalization profile: 'classical', 'urdu' (default) or 'strict'
+ * @param {string} [options.shadda] - Shadda policy: 'once' (default) or 'twice'
+ * @param {boolean} [options.stripHonorifics] - Exclude titles/castes such as Syed or Khan (default true)
+ * @param {Array} [options.keepWords] - Titles/castes to keep for this name
+ * @param {string} [options.locale] - Locale for messages and labels (defaults to setLocale)
  * @returns {Object} Calculation result with success, totalValue, characterBreakdown, etc.
+ *   The top-level total is Abjad Kabir; `modes` holds the total and breakdown of every mode.
+ *   `words` lists each word's { index, text, totalValue, charCount }, and every
+ *   breakdown entry names the `word` it belongs to.
  */
-function calculateAbjad(name) {
+function calculateAbjad(name, options = {}) {
+  if (!getDataLoader().loaded) {
+    return { success: false, error: Messages.format('DATA_NOT_LOADED', {}, options.locale) };
+  }
+
   try {
     // Validate and process input
-    const validation = TextProcessor.processNameInput(name);
+    const validation = TextProcessor.processNameInput(name, false, {
+      profile: options.profile,
+      shadda: options.shadda,
+      stripHonorifics: options.stripHonorifics,
+      keepWords: options.keepWords || [],
+      locale: options.locale
+    });
     const [cleanedName, status] = validation;
 
     if (!status.success) {
       return {
         success: false,
-        error: 'Invalid input: ' + status.errors.join(', ')
+        error: Messages.format('INVALID_INPUT', {
+          errors: Messages.list(status.errors, options.locale)
+        }, options.locale)
       };
     }
 
     // Calculate Abjad value
     const calculator = getCalculator();
-    const calcResult = calculator.calculateAbjadValue(cleanedName);
+    const calcResult = calculator.calculateAbjadValue(cleanedName, { system: options.system, locale: options.locale });
 
     if (!calcResult.success) {
       return {
         success: false,
-        error: calcResult.errors.join(', ')
+        error: Messages.list(calcResult.errors, options.locale)
+      };
+    }
+
+    // Every mode shares the cleaned name and system, only the letter values differ
+    const modes = {};
+    for (const mode of Object.keys(AbjadCalculator.CALCULATION_MODES)) {
+      const modeResult = mode === 'kabir'
+        ? calcResult
+        : calculator.calculateAbjadValue(cleanedName, { system: calcResult.abjadSystem, mode, locale: options.locale });
+      modes[mode] = {
+        label: Messages.label('mode', mode, AbjadCalculator.CALCULATION_MODES[mode], options.locale),
+        totalValue: modeResult.totalValue,
+        characterBreakdown: formatCharacterBreakdown(modeResult.characterBreakdown, status.doubledPositions),
+        words: modeResult.words
       };
     }
 
@@ -632,12 +3007,24 @@ function calculateAbjad(name) {
       totalValue: calcResult.totalValue,
       inputName: name,
       cleanedName: calcResult.inputName,
-      characterBreakdown: calcResult.characterBreakdown.map((item, i) => ({
-        position: i + 1,
-        character: item.character,
-        value: item.value
-      })),
-      charCount: calcResult.charCount
+      abjadSystem: calcResult.abjadSystem,
+      abjadSystemLabel: Messages.label(
+        'system', calcResult.abjadSystem,
+        getDataLoader().getAbjadSystem(calcResult.abjadSystem).label, options.locale
+      ),
+      normalizationProfile: status.normalizationProfile,
+      normalizationProfileLabel: Messages.label(
+        'profile', status.normalizationProfile,
+        TextProcessor.getNormalizationProfile(status.normalizationProfile).label, options.locale
+      ),
+      shaddaPolicy: status.shaddaPolicy,
+      nameWords: status.nameWords,
+      excludedWords: status.excludedWords,
+      characterBreakdown: modes.kabir.characterBreakdown,
+      words: modes.kabir.words,
+      modes: modes,
+      charCount: calcResult.charCount,
+      warnings: [...status.warnings, ...calcResult.warnings]
     };
   } catch (error) {
     console.error("[ERROR] Calculate error:", error);
@@ -649,54 +3036,308 @@ function calculateAbjad(name) {
 }
 
 /**
- * Find Divine Names matching an Abjad value
- * @param {number} abjadValue - Calculated Abjad value
- * @returns {Object} Match result with found, type, divineNames or combinations
+ * Calculate a name together with the mother's name. Each part is calculated
+ * on its own and the totals are added, mode by mode.
+ * @param {string} name - Arabic/Urdu name
+ * @param {string} motherName - Mother's name in Arabic/Urdu script
+ * @param {Object} [options] - calculateAbjad options, applied to both parts
+ * @returns {Object} A calculateAbjad-style result for the combined total, plus
+ *   `motherName` and `parts`: [{ part: 'name' | 'mother', label, result }].
+ *   Breakdown entries and `words` carry the `part` they belong to, and every
+ *   mode lists its per-part totals in `parts`.
+ */
+function calculateWithMotherName(name, motherName, options = {}) {
+  const parts = [['name', name], ['mother', motherName]].map(([part, text]) => ({
+    part,
+    label: Messages.label('part', part, part, options.locale),
+    result: calculateAbjad(text, options)
+  }));
+
+  const failed = parts.find(item => !item.result.success);
+  if (failed) {
+    return {
+      success: false,
+      error: Messages.format('PART_MESSAGE', { part: failed.label, message: failed.result.error }, options.locale),
+      part: failed.part
+    };
+  }
+
+  const [own, mother] = parts.map(item => item.result);
+  const modes = {};
+  for (const [mode, ownMode] of Object.entries(own.modes)) {
+    modes[mode] = {
+      label: ownMode.label,
+      totalValue: parts.reduce((sum, item) => sum + item.result.modes[mode].totalValue, 0),
+      characterBreakdown: parts.flatMap(item =>
+        item.result.modes[mode].characterBreakdown.map(entry => ({ ...entry, part: item.part }))),
+      words: parts.flatMap(item =>
+        item.result.modes[mode].words.map(word => ({ ...word, part: item.part }))),
+      parts: parts.map(item => ({
+        part: item.part,
+        label: item.label,
+        totalValue: item.result.modes[mode].totalValue
+      }))
+    };
+  }
+
+  return {
+    ...own,
+    totalValue: modes.kabir.totalValue,
+    inputName: name,
+    motherName,
+    cleanedName: `${own.cleanedName} + ${mother.cleanedName}`,
+    excludedWords: [...own.excludedWords, ...mother.excludedWords],
+    characterBreakdown: modes.kabir.characterBreakdown,
+    words: modes.kabir.words,
+    modes,
+    charCount: own.charCount + mother.charCount,
+    warnings: parts.flatMap(item => item.result.warnings.map(message =>
+      Messages.format('PART_MESSAGE', { part: item.label, message }, options.locale))),
+    parts
+  };
+}
+
+/**
+ * Match Divine Names to each word of a calculated name
+ * @param {Object} calcResult - calculateAbjad or calculateWithMotherName result
+ * @param {Object} [options] - matchDivineNames options
+ * @returns {Array} The result's `words`, each with the matchDivineNames result as `match`
+ */
+function matchNameWords(calcResult, options = {}) {
+  return (calcResult.words || []).map(word => ({
+    ...word,
+    match: matchDivineNames(word.totalValue, options)
+  }));
+}
+
+/**
+ * Turn a Roman Urdu / Latin name into Arabic-script spellings
+ * @param {string} latinName - Name typed in Latin letters, e.g. "Abdullah"
+ * @param {Object} [options] - calculateAbjad options, plus:
+ * @param {number} [options.limit] - Maximum number of spellings (8 by default)
+ * @returns {Object} { success, input, candidates: [{ arabic, source, totalValue, cleanedName }] }
  */
-function matchDivineNames(abjadValue) {
+function transliterateName(latinName, options = {}) {
   try {
-    // Validate input
-    if (abjadValue === null || abjadValue === undefined) {
+    if (!latinName || !Transliterator.isLatin(latinName)) {
       return {
         success: false,
-        error: 'Abjad value is required'
+        error: Messages.format('NOT_LATIN', {}, options.locale)
       };
     }
 
-    // Convert to int
-    try {
-      abjadValue = parseInt(abjadValue);
-    } catch (error) {
-      return {
-        success: false,
-        error: 'Abjad value must be a number'
-      };
+    const spellings = Transliterator.transliterate(latinName, options.limit || Transliterator.DEFAULT_LIMIT);
+    const candidates = [];
+
+    for (const spelling of spellings) {
+      const calcResult = calculateAbjad(spelling.arabic, options);
+      if (!calcResult.success) {
+        continue;
+      }
+      candidates.push({
+        arabic: spelling.arabic,
+        source: spelling.source,
+        totalValue: calcResult.totalValue,
+        cleanedName: calcResult.cleanedName
+      });
     }
 
-    // Find match
-    const matcher = getMatcher();
-    const matchResult = matcher.findMatch(abjadValue);
+    return {
+      success: candidates.length > 0,
+      input: latinName,
+      candidates: candidates,
+      error: candidates.length > 0 ? undefined : Messages.format('NO_SPELLING', {}, options.locale)
+    };
+  } catch (error) {
+    console.error("[ERROR] Transliteration error:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-    if (matchResult.type === 'direct_match') {
-      return {
-        success: true,
-        found: matchResult.found,
-        type: 'direct_match',
-        divineNames: matchResult.divineNames,
-        count: matchResult.count,
-        responseTimeMs: matchResult.responseTimeMs
-      };
-    } else {
-      return {
+/**
+ * Check the loaded Divine Names, and optionally the companion data files,
+ * against what the calculator computes
+ * @param {Object} [options] - DataVerifier.verifyNames options, plus:
+ * @param {Object} [options.namesIndex] - The "index" of data/asmaul_husna_index.json
+ * @param {Object} [options.abjadValues] - A letter → value table to compare with the system
+ * @returns {Object} { ok, names, index, letterTable }; index and letterTable
+ *   are null when the matching file was not passed
+ */
+function verifyData(options = {}) {
+  const verifier = new DataVerifier();
+  const names = verifier.verifyNames(options);
+  const index = options.namesIndex ? verifier.verifyIndex(options.namesIndex) : null;
+  const letterTable = options.abjadValues
+    ? verifier.verifyLetterTable(options.abjadValues, names.system)
+    : null;
+
+  const ok = names.mismatches.length === 0 &&
+    names.unknownLetters.length === 0 &&
+    names.failures.length === 0 &&
+    (!index || (index.missing.length + index.extra.length + index.mismatched.length === 0)) &&
+    (!letterTable || (letterTable.missing.length + letterTable.extra.length +
+      letterTable.mismatched.length + letterTable.usedButMissing.length === 0));
+
+  return { ok, names, index, letterTable };
+}
+
+/**
+ * List the Divine Names, searched, filtered by value and sorted
+ * @param {Object} [options]
+ * @param {string} [options.query] - Words to find in the Arabic name, the
+ *   transliteration or the meaning (letter forms, diacritics and case are
+ *   ignored); a number finds names with that abjad value
+ * @param {number} [options.minValue] - Smallest abjad value to list
+ * @param {number} [options.maxValue] - Largest abjad value to list
+ * @param {string} [options.sort] - Order, a key of NameCatalogue.SORTS ('id'
+ *   by default; see listCatalogueSorts)
+ * @param {boolean} [options.descending] - Reverse the order
+ * @param {string} [options.locale] - Locale for error messages
+ * @returns {Object} { success, names, count, total }, total being the size of the dataset
+ */
+function browseDivineNames(options = {}) {
+  if (!getDataLoader().loaded) {
+    return { success: false, error: Messages.format('DATA_NOT_LOADED', {}, options.locale) };
+  }
+
+  const sort = options.sort === undefined ? NameCatalogue.DEFAULT_SORT : options.sort;
+  if (!NameCatalogue.SORTS[sort]) {
+    return {
+      success: false,
+      error: Messages.format('SORT_UNKNOWN', {
+        sort,
+        sorts: Messages.list(Object.keys(NameCatalogue.SORTS), options.locale)
+      }, options.locale)
+    };
+  }
+
+  const bound = (value, unset) => (value === undefined || value === null || value === '' ? unset : Number(value));
+  const minValue = bound(options.minValue, -Infinity);
+  const maxValue = bound(options.maxValue, Infinity);
+  if (isNaN(minValue) || isNaN(maxValue) || minValue > maxValue) {
+    return { success: false, error: Messages.format('VALUE_RANGE_INVALID', {}, options.locale) };
+  }
+
+  const catalogue = getCatalogue();
+  const names = catalogue.search({
+    query: options.query || '',
+    minValue,
+    maxValue,
+    sort,
+    descending: Boolean(options.descending)
+  });
+  return { success: true, names, count: names.length, total: catalogue.names.length };
+}
+
+/**
+ * One Divine Name in detail
+ * @param {number} nameId - Divine Name ID
+ * @param {Object} [options]
+ * @param {string} [options.system] - Abjad system for the letter breakdown
+ * @param {string} [options.locale] - Locale for error messages
+ * @returns {Object} { success, name, calculation, sharedValue, complements }.
+ *   `calculation` has the totalValue and characterBreakdown of the letters
+ *   the recorded value counts, articleExcluded when the leading ال was left
+ *   out, and matchesRecorded = false when the total differs from abjad_value.
+ *   `sharedValue` lists the other names with the same value; `complements`
+ *   lists { name, makes }: names that, added to this one, give the value of
+ *   the Divine Name `makes`.
+ */
+function describeDivineName(nameId, options = {}) {
+  if (!getDataLoader().loaded) {
+    return { success: false, error: Messages.format('DATA_NOT_LOADED', {}, options.locale) };
+  }
+
+  const detail = getCatalogue().describe(Number(nameId), { system: options.system });
+  if (!detail) {
+    return { success: false, error: Messages.format('NAME_ID_UNKNOWN', { id: nameId }, options.locale) };
+  }
+
+  const { name, calculation } = detail;
+  return {
+    success: true,
+    name,
+    calculation: calculation.success
+      ? {
         success: true,
-        found: matchResult.found,
-        type: 'two_name_combination',
-        abjadValue: abjadValue,
-        combinations: matchResult.combinations,
-        count: matchResult.count,
-        responseTimeMs: matchResult.responseTimeMs
-      };
-    }
+        totalValue: calculation.totalValue,
+        abjadSystem: calculation.abjadSystem,
+        counted: calculation.counted,
+        articleExcluded: calculation.articleExcluded,
+        matchesRecorded: calculation.totalValue === name.abjad_value,
+        characterBreakdown: formatCharacterBreakdown(calculation.characterBreakdown)
+      }
+      : { success: false, errors: calculation.errors },
+    sharedValue: detail.sharedValue,
+    complements: detail.complements
+  };
+}
+
+/**
+ * Find Divine Names matching an Abjad value
+ * @param {number} abjadValue - Calculated Abjad value
+ * @param {Object} [options]
+ * @param {number} [options.maxNames] - Largest combination to try (2 by default, up to 5;
+ *   1 looks for single names only)
+ * @param {number} [options.tolerance] - Largest difference for nearest-value
+ *   suggestions when nothing matches (100 by default, 0 disables them)
+ * @param {string} [options.sort] - Ranking for combinations, a key of
+ *   NameMatcher.RANKINGS ('id' by default; see listRankings)
+ * @param {number} [options.offset] - Skip this many ranked combinations (for "load more")
+ * @param {number} [options.limit] - Combinations to return (10 by default, up to 100)
+ * @param {Array<number>} [options.required] - IDs of names every match must include
+ * @param {Array<number>} [options.excluded] - IDs of names no match may include
+ * @param {boolean} [options.allowRepeat] - Let a combination use a name more than once
+ * @param {number} [options.minValue] - Smallest value a matched name may have
+ * @param {number} [options.maxValue] - Largest value a matched name may have
+ * @param {string} [options.locale] - Locale for error messages
+ * @returns {Object} Match result with found, type, divineNames or combinations.
+ *   A 'nearest' result has found = false and carries `below`/`above` suggestions.
+ *   Combination results also carry sort, offset, limit, total (every
+ *   combination found), hasMore, and complete = false when the search hit
+ *   NameMatcher.MAX_RANKED_COMBINATIONS.
+ */
+function matchDivineNames(abjadValue, options = {}) {
+  const request = parseMatchRequest(abjadValue, options);
+  if (request.error) {
+    return { success: false, error: request.error };
+  }
+
+  try {
+    const matchResult = getMatcher().findMatch(
+      request.abjadValue, request.maxNames, request.tolerance, request.page, request.constraints);
+    return formatMatchResult(request.abjadValue, matchResult);
+  } catch (error) {
+    console.error("[ERROR] Match error:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * matchDivineNames one search step at a time, so a slow search can report
+ * progress and be abandoned between steps (see match-worker.js)
+ * @param {number} abjadValue - Calculated Abjad value
+ * @param {Object} [options] - As for matchDivineNames
+ * @returns {Generator} Yields { nameCount, step, steps, combinations } as each
+ *   combination size is searched, `combinations` holding those the step found;
+ *   returns the matchDivineNames result
+ */
+function* matchDivineNamesInSteps(abjadValue, options = {}) {
+  const request = parseMatchRequest(abjadValue, options);
+  if (request.error) {
+    return { success: false, error: request.error };
+  }
+
+  try {
+    const matchResult = yield* getMatcher().findMatchInSteps(
+      request.abjadValue, request.maxNames, request.tolerance, request.page, request.constraints);
+    return formatMatchResult(request.abjadValue, matchResult);
   } catch (error) {
     console.error("[ERROR] Match error:", error);
     return {
@@ -706,6 +3347,185 @@ function matchDivineNames(abjadValue) {
   }
 }
 
+/**
+ * Check the value and options given to matchDivineNames
+ * @returns {Object} { abjadValue, maxNames, tolerance, page, constraints }, or { error }
+ */
+function parseMatchRequest(abjadValue, options) {
+  if (!getDataLoader().loaded) {
+    return { error: Messages.format('DATA_NOT_LOADED', {}, options.locale) };
+  }
+
+  // Validate input
+  if (abjadValue === null || abjadValue === undefined) {
+    return {
+      error: Messages.format('VALUE_REQUIRED', {}, options.locale)
+    };
+  }
+
+  // Convert to int
+  try {
+    abjadValue = parseInt(abjadValue);
+  } catch (error) {
+    return {
+      error: Messages.format('VALUE_NOT_NUMBER', {}, options.locale)
+    };
+  }
+
+  const maxNames = options.maxNames === undefined ? 2 : parseInt(options.maxNames);
+  if (isNaN(maxNames) || maxNames < 1 || maxNames > NameMatcher.MAX_COMBINATION_NAMES) {
+    return {
+      error: Messages.format('MAX_NAMES_RANGE', { max: NameMatcher.MAX_COMBINATION_NAMES }, options.locale)
+    };
+  }
+
+  const tolerance = options.tolerance === undefined
+    ? NameMatcher.DEFAULT_NEAREST_TOLERANCE
+    : Number(options.tolerance);
+  if (isNaN(tolerance) || tolerance < 0) {
+    return {
+      error: Messages.format('TOLERANCE_INVALID', {}, options.locale)
+    };
+  }
+
+  const sort = options.sort === undefined ? NameMatcher.DEFAULT_RANKING : options.sort;
+  if (!NameMatcher.RANKINGS[sort]) {
+    return {
+      error: Messages.format('SORT_UNKNOWN', {
+        sort,
+        sorts: Messages.list(Object.keys(NameMatcher.RANKINGS), options.locale)
+      }, options.locale)
+    };
+  }
+
+  const offset = options.offset === undefined ? 0 : Number(options.offset);
+  const limit = options.limit === undefined ? NameMatcher.DEFAULT_PAGE_SIZE : Number(options.limit);
+  if (!Number.isInteger(offset) || offset < 0 ||
+      !Number.isInteger(limit) || limit < 1 || limit > NameMatcher.MAX_PAGE_SIZE) {
+    return {
+      error: Messages.format('PAGE_INVALID', { max: NameMatcher.MAX_PAGE_SIZE }, options.locale)
+    };
+  }
+
+  const constraints = parseMatchConstraints(options, maxNames);
+  if (constraints.error) {
+    return constraints;
+  }
+
+  return { abjadValue, maxNames, tolerance, page: { sort, offset, limit }, constraints };
+}
+
+/**
+ * Check the required/excluded names, repetition and value range given to
+ * matchDivineNames
+ * @returns {Object} Constraints for NameMatcher.findMatch, or { error }
+ */
+function parseMatchConstraints(options, maxNames) {
+  const namesById = getMatcher().namesById;
+  const error = (key, params) => ({ error: Messages.format(key, params, options.locale) });
+
+  const ids = {};
+  for (const key of ['required', 'excluded']) {
+    ids[key] = [];
+    for (const given of options[key] || []) {
+      const id = String(given).trim() === '' ? NaN : Number(given);
+      if (!namesById.has(id)) {
+        return error('NAME_ID_UNKNOWN', { id: given });
+      }
+      ids[key].push(id);
+    }
+  }
+
+  const bound = (value, unset) => (value === undefined || value === null ? unset : Number(value));
+  const minValue = bound(options.minValue, -Infinity);
+  const maxValue = bound(options.maxValue, Infinity);
+  if (isNaN(minValue) || isNaN(maxValue) || minValue > maxValue) {
+    return error('VALUE_RANGE_INVALID', {});
+  }
+
+  const required = [...new Set(ids.required)];
+  if (required.length > maxNames) {
+    return error('REQUIRED_TOO_MANY', { count: required.length, max: maxNames });
+  }
+  for (const id of required) {
+    const name = namesById.get(id);
+    if (ids.excluded.includes(id)) {
+      return error('NAME_REQUIRED_EXCLUDED', { name: name.arabic_name });
+    }
+    if (name.abjad_value < minValue || name.abjad_value > maxValue) {
+      return error('NAME_REQUIRED_OUT_OF_RANGE', { name: name.arabic_name, value: name.abjad_value });
+    }
+  }
+
+  return {
+    required,
+    excluded: ids.excluded,
+    allowRepeat: Boolean(options.allowRepeat),
+    minValue,
+    maxValue
+  };
+}
+
+/**
+ * Shape a NameMatcher result as matchDivineNames returns it
+ */
+function formatMatchResult(abjadValue, matchResult) {
+  if (matchResult.type === 'direct_match') {
+    return {
+      success: true,
+      found: matchResult.found,
+      type: 'direct_match',
+      abjadValue: abjadValue,
+      divineNames: matchResult.divineNames,
+      count: matchResult.count,
+      responseTimeMs: matchResult.responseTimeMs
+    };
+  } else if (matchResult.type === 'nearest') {
+    return {
+      success: true,
+      found: false,
+      type: 'nearest',
+      abjadValue: abjadValue,
+      tolerance: matchResult.tolerance,
+      hasSuggestions: matchResult.hasSuggestions,
+      below: matchResult.below,
+      above: matchResult.above,
+      responseTimeMs: matchResult.responseTimeMs
+    };
+  } else if (matchResult.type === 'multi_name_combination') {
+    return {
+      success: true,
+      found: matchResult.found,
+      type: 'multi_name_combination',
+      abjadValue: abjadValue,
+      nameCount: matchResult.nameCount,
+      combinations: matchResult.combinations,
+      count: matchResult.count,
+      ...describePage(matchResult),
+      responseTimeMs: matchResult.responseTimeMs
+    };
+  } else {
+    return {
+      success: true,
+      found: matchResult.found,
+      type: 'two_name_combination',
+      abjadValue: abjadValue,
+      combinations: matchResult.combinations,
+      count: matchResult.count,
+      ...describePage(matchResult),
+      responseTimeMs: matchResult.responseTimeMs
+    };
+  }
+}
+
+/**
+ * Ranking and paging fields of a combination result
+ */
+function describePage(matchResult) {
+  const { sort, offset, limit, total, hasMore, complete } = matchResult;
+  return { sort, offset, limit, total, hasMore, complete };
+}
+
 // ============================================================================
 // EXPORT FOR MODULE SYSTEMS
 // ============================================================================
@@ -720,15 +3540,39 @@ if (typeof module !== 'undefined' && module.exports) {
     getCalculator,
     NameMatcher,
     getMatcher,
+    NameCatalogue,
+    getCatalogue,
+    Transliterator,
+    DataVerifier,
+    Messages,
     initializeCalculator,
+    loadData,
+    ready,
+    on,
+    off,
+    setLocale,
+    getLocale,
+    listLocales,
+    listAbjadSystems,
+    listCalculationModes,
+    listNormalizationProfiles,
+    listRankings,
+    listCatalogueSorts,
     calculateAbjad,
-    matchDivineNames
+    calculateWithMotherName,
+    matchNameWords,
+    transliterateName,
+    matchDivineNames,
+    matchDivineNamesInSteps,
+    browseDivineNames,
+    describeDivineName,
+    verifyData
   };
 }
 
-// For browser global access
-if (typeof window !== 'undefined') {
-  window.ism_e_azam_calculator_p = {
+// For browser global access; a Web Worker (match-worker.js) has `self` but no `window`
+if (typeof window !== 'undefined' || typeof importScripts === 'function') {
+  (typeof window !== 'undefined' ? window : self).ism_e_azam_calculator_p = {
     TextProcessor,
     DataLoader,
     getDataLoader,
@@ -736,8 +3580,32 @@ if (typeof window !== 'undefined') {
     getCalculator,
     NameMatcher,
     getMatcher,
+    NameCatalogue,
+    getCatalogue,
+    Transliterator,
+    DataVerifier,
+    Messages,
     initializeCalculator,
+    loadData,
+    ready,
+    on,
+    off,
+    setLocale,
+    getLocale,
+    listLocales,
+    listAbjadSystems,
+    listCalculationModes,
+    listNormalizationProfiles,
+    listRankings,
+    listCatalogueSorts,
     calculateAbjad,
-    matchDivineNames
+    calculateWithMotherName,
+    matchNameWords,
+    transliterateName,
+    matchDivineNames,
+    matchDivineNamesInSteps,
+    browseDivineNames,
+    describeDivineName,
+    verifyData
   };
 }
@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * ISM-E-AZAM CALCULATOR - Command-Line Interface
+ * Runs the calculator.js engine under Node, reading the Divine Names from data/
+ *
+ * Usage:
+ *   node cli.js [options] <name>...
+ *   node cli.js [options] --file names.txt
+ *   node cli.js --verify [--system <key>] [--json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const calculator = require('./calculator');
+
+const USAGE = `Usage: node cli.js [options] <name>...
+       node cli.js [options] --file <path>
+       node cli.js --verify [--system <key>] [--profile <key>] [--json]
+
+Calculates the Abjad value of each name and matches it to the Divine Names.
+
+Options:
+  -f, --file <path>      Read names from a file, one per line ('#' starts a comment)
+      --json             Print results as JSON instead of a table
+  -s, --system <key>     Abjad system from data/abjad_values.json (mashriqi, maghribi)
+  -p, --profile <key>    Orthography profile: classical, urdu, strict
+      --shadda <policy>  Count shadda letters 'once' or 'twice'
+      --keep-titles      Do not exclude titles and castes (Syed, Khan, ...)
+  -n, --max-names <n>    Largest name combination to search (default 2)
+  -t, --tolerance <n>    Range for closest-value suggestions (default 100, 0 disables)
+      --sort <key>       Rank combinations: id, balanced, allah, category, letters
+      --limit <n>        Combinations to show per name (default 10, up to 100)
+      --offset <n>       Skip this many ranked combinations
+      --require <ids>    Only matches including these Divine Name ids (comma-separated)
+      --exclude <ids>    Only matches without these Divine Name ids
+      --allow-repeat     Let a combination use the same name more than once
+      --min-value <n>    Only use names worth at least n
+      --max-value <n>    Only use names worth at most n
+      --transliterate    Convert Roman Urdu names using the most likely spelling
+      --verify           Check every Divine Name's abjad_value and the data files
+      --check-index      Fail unless asmaul_husna_index.json matches the names
+  -d, --data <dir>       Directory holding the data bundles (default ./data)
+  -h, --help             Show this help`;
+
+// ========================================
+// ARGUMENT PARSING
+// ========================================
+
+/**
+ * Parse command-line arguments into options and names
+ */
+function parseArgs(argv) {
+  const options = {
+    file: null,
+    json: false,
+    system: undefined,
+    profile: undefined,
+    shadda: undefined,
+    stripHonorifics: true,
+    maxNames: 2,
+    tolerance: undefined,
+    sort: undefined,
+    limit: undefined,
+    offset: undefined,
+    required: [],
+    excluded: [],
+    allowRepeat: false,
+    minValue: undefined,
+    maxValue: undefined,
+    transliterate: false,
+    verify: false,
+    checkIndex: false,
+    dataDir: path.join(__dirname, 'data'),
+    help: false,
+    names: []
+  };
+
+  const takeValue = (flag, i) => {
+    if (i + 1 >= argv.length) {
+      throw new Error(`Option ${flag} needs a value`);
+    }
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '-f': case '--file': options.file = takeValue(arg, i++); break;
+      case '--json': options.json = true; break;
+      case '-s': case '--system': options.system = takeValue(arg, i++); break;
+      case '-p': case '--profile': options.profile = takeValue(arg, i++); break;
+      case '--shadda': options.shadda = takeValue(arg, i++); break;
+      case '--keep-titles': options.stripHonorifics = false; break;
+      case '-n': case '--max-names': options.maxNames = parseInt(takeValue(arg, i++)); break;
+      case '-t': case '--tolerance': options.tolerance = Number(takeValue(arg, i++)); break;
+      case '--sort': options.sort = takeValue(arg, i++); break;
+      case '--limit': options.limit = Number(takeValue(arg, i++)); break;
+      case '--offset': options.offset = Number(takeValue(arg, i++)); break;
+      case '--require': options.required.push(...takeValue(arg, i++).split(',')); break;
+      case '--exclude': options.excluded.push(...takeValue(arg, i++).split(',')); break;
+      case '--allow-repeat': options.allowRepeat = true; break;
+      case '--min-value': options.minValue = Number(takeValue(arg, i++)); break;
+      case '--max-value': options.maxValue = Number(takeValue(arg, i++)); break;
+      case '--transliterate': options.transliterate = true; break;
+      case '--verify': options.verify = true; break;
+      case '--check-index': options.checkIndex = true; break;
+      case '-d': case '--data': options.dataDir = takeValue(arg, i++); break;
+      case '-h': case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        options.names.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read names from a file, skipping blank lines and comments
+ */
+function readNamesFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// ========================================
+// DATA LOADING
+// ========================================
+
+/**
+ * Read one data bundle from the data directory
+ */
+function readDataFile(dataDir, fileName) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+}
+
+/**
+ * Load the data bundles from disk and initialize the calculator.
+ * The library logs its progress with console.log, which would corrupt
+ * --json output, so that output is sent to stderr instead.
+ */
+function loadCalculator(dataDir, checkIndex = false) {
+  const files = calculator.DataLoader.DATA_FILES;
+  const bundles = {
+    abjad: readDataFile(dataDir, files.abjad),
+    names: readDataFile(dataDir, files.names),
+    index: checkIndex ? readDataFile(dataDir, files.index) : null
+  };
+
+  const log = console.log;
+  console.log = (...args) => console.error(...args);
+  try {
+    calculator.getDataLoader().loadBundles(bundles, { checkIndex });
+  } finally {
+    console.log = log;
+  }
+}
+
+// ========================================
+// CALCULATION
+// ========================================
+
+/**
+ * Calculate and match a single name
+ */
+function processName(name, options) {
+  const entry = { input: name, success: false };
+  const calcOptions = {
+    system: options.system,
+    profile: options.profile,
+    shadda: options.shadda,
+    stripHonorifics: options.stripHonorifics
+  };
+
+  let arabicName = name;
+  if (calculator.Transliterator.isLatin(name)) {
+    const transliteration = calculator.transliterateName(name, calcOptions);
+    entry.spellings = transliteration.success ? transliteration.candidates : [];
+    if (!options.transliterate || !transliteration.success) {
+      entry.error = options.transliterate
+        ? transliteration.error
+        : 'Name is in Latin letters; pick a spelling or pass --transliterate';
+      return entry;
+    }
+    arabicName = transliteration.candidates[0].arabic;
+  }
+
+  const calcResult = calculator.calculateAbjad(arabicName, calcOptions);
+  if (!calcResult.success) {
+    entry.error = calcResult.error;
+    return entry;
+  }
+
+  const matchResult = calculator.matchDivineNames(calcResult.totalValue, {
+    maxNames: options.maxNames,
+    tolerance: options.tolerance,
+    sort: options.sort,
+    limit: options.limit,
+    offset: options.offset,
+    required: options.required,
+    excluded: options.excluded,
+    allowRepeat: options.allowRepeat,
+    minValue: options.minValue,
+    maxValue: options.maxValue
+  });
+  if (!matchResult.success) {
+    entry.error = matchResult.error;
+    return entry;
+  }
+
+  entry.success = true;
+  entry.calculation = calcResult;
+  entry.match = matchResult;
+  return entry;
+}
+
+// ========================================
+// DATA VERIFICATION
+// ========================================
+
+/**
+ * Verify the loaded dataset and the companion files in the data directory
+ */
+function verifyDataDir(options) {
+  const { DATA_FILES } = calculator.DataLoader;
+  const indexBundle = fs.existsSync(path.join(options.dataDir, DATA_FILES.index))
+    ? readDataFile(options.dataDir, DATA_FILES.index)
+    : null;
+
+  // The letter table of the verified system, as abjad_values.json spells it out
+  const system = calculator.getDataLoader().getAbjadSystem(options.system).key;
+  const abjadSystems = calculator.DataLoader.resolveAbjadSystems(readDataFile(options.dataDir, DATA_FILES.abjad));
+
+  return calculator.verifyData({
+    system: options.system,
+    profile: options.profile,
+    namesIndex: indexBundle ? indexBundle.index : undefined,
+    abjadValues: abjadSystems[system] ? abjadSystems[system].values : undefined
+  });
+}
+
+/**
+ * Print a verification report
+ */
+function printVerification(report) {
+  const { names, index, letterTable } = report;
+
+  console.log(`Divine Names: ${names.checked} checked (${names.system} system, ${names.profile} orthography)`);
+  for (const item of names.mismatches) {
+    const sign = item.difference > 0 ? '+' : '';
+    console.log(`  Mismatch #${item.id} ${item.arabic_name} (${item.english_name}): ` +
+      `stored ${item.storedValue}, computed ${item.computedValue} (${sign}${item.difference})`);
+  }
+  for (const item of names.unknownLetters) {
+    console.log(`  Unknown letters #${item.id} ${item.arabic_name}: ${item.letters.join(' ')}`);
+  }
+  for (const item of names.failures) {
+    console.log(`  Failed #${item.id} ${item.arabic_name}: ${item.error}`);
+  }
+
+  if (index) {
+    console.log(`\nasmaul_husna_index.json: ${index.checked} entries checked`);
+    for (const item of index.missing) {
+      console.log(`  Missing #${item.id} ${item.arabic_name} under ${item.value}`);
+    }
+    for (const item of index.extra) {
+      console.log(`  Not in dataset #${item.id} ${item.arabic_name} under ${item.value}`);
+    }
+    for (const item of index.mismatched) {
+      console.log(`  Field ${item.field} of #${item.id}: expected "${item.expected}", found "${item.actual}"`);
+    }
+  }
+
+  if (letterTable) {
+    console.log(`\nLetter table: ${letterTable.checked} letters checked against ${letterTable.system}`);
+    if (letterTable.missing.length > 0) {
+      console.log(`  Missing letters: ${letterTable.missing.join(' ')}`);
+    }
+    if (letterTable.extra.length > 0) {
+      console.log(`  Letters not in the system: ${letterTable.extra.join(' ')}`);
+    }
+    for (const item of letterTable.mismatched) {
+      console.log(`  ${item.letter}: expected ${item.expected}, found ${item.actual}`);
+    }
+    if (letterTable.usedButMissing.length > 0) {
+      console.log(`  Used by Divine Names but missing: ${letterTable.usedButMissing.join(' ')}`);
+    }
+  }
+
+  console.log(report.ok ? '\nAll data checks passed' : '\nData checks found problems');
+}
+
+// ========================================
+// OUTPUT
+// ========================================
+
+/**
+ * Describe a list of names as "Arabic (English) + ..."
+ */
+function formatNames(names) {
+  return names.map(name => `${name.arabic_name} (${name.english_name}, ${name.abjad_value})`).join(' + ');
+}
+
+/**
+ * Print one result in the same layout as AbjadCalculator.printCalculation
+ */
+function printEntry(entry) {
+  console.log(`Name: ${entry.input}`);
+
+  if (!entry.success) {
+    console.log(`  Error: ${entry.error}`);
+    for (const spelling of entry.spellings || []) {
+      console.log(`  Spelling: ${spelling.arabic} = ${spelling.totalValue}`);
+    }
+    return;
+  }
+
+  const calc = entry.calculation;
+  const match = entry.match;
+
+  console.log(`Cleaned: ${calc.cleanedName}`);
+  console.log(`System: ${calc.abjadSystemLabel} | Orthography: ${calc.normalizationProfileLabel}`);
+  console.log('-'.repeat(40));
+  for (const item of calc.characterBreakdown) {
+    console.log(`  ${item.character} = ${item.value}${item.doubled ? '  (shadda)' : ''}`);
+  }
+  console.log('-'.repeat(40));
+  if (calc.words.length > 1) {
+    for (const word of calc.words) {
+      console.log(`  ${word.text} = ${word.totalValue}`);
+    }
+  }
+  console.log(`Total Abjad Value: ${calc.totalValue}`);
+
+  if (match.type === 'direct_match' && match.found) {
+    console.log(`Direct match: ${formatNames(match.divineNames)}`);
+  } else if (match.type === 'two_name_combination' && match.found) {
+    for (const combo of match.combinations) {
+      console.log(`Combination: ${formatNames([combo.name1, combo.name2])}`);
+    }
+  } else if (match.type === 'multi_name_combination' && match.found) {
+    for (const combo of match.combinations) {
+      console.log(`Combination: ${formatNames(combo.names)}`);
+    }
+  } else if (match.type === 'nearest' && match.hasSuggestions) {
+    for (const suggestion of [...match.below, ...match.above]) {
+      const sign = suggestion.difference > 0 ? '+' : '';
+      console.log(`Closest (${sign}${suggestion.difference}): ${formatNames(suggestion.names)}`);
+    }
+  } else {
+    console.log('No matches found');
+  }
+
+  if (match.found && match.total > match.count) {
+    const first = match.count > 0 ? match.offset + 1 : match.offset;
+    console.log(`Showing ${first}-${match.offset + match.count} of ${match.total}${match.complete ? '' : '+'}` +
+      (match.hasMore ? ' (use --offset and --limit for more)' : ''));
+  }
+
+  if (calc.warnings.length > 0) {
+    console.log("\nWarnings:");
+    calc.warnings.forEach(warning => console.log(`  - ${warning}`));
+  }
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const names = [...options.names];
+  if (options.file) {
+    try {
+      names.push(...readNamesFile(options.file));
+    } catch (error) {
+      console.error(`[ERROR] Cannot read names file: ${error.message}`);
+      return 2;
+    }
+  }
+  if (names.length === 0 && !options.verify) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    loadCalculator(options.dataDir, options.checkIndex && !options.verify);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    return 2;
+  }
+
+  if (options.verify) {
+    const report = verifyDataDir(options);
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printVerification(report);
+    }
+    return report.ok ? 0 : 1;
+  }
+
+  const results = names.map(name => processName(name, options));
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach((entry, i) => {
+      if (i > 0) console.log('');
+      printEntry(entry);
+    });
+  }
+
+  return results.every(entry => entry.success) ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, loadCalculator, processName, verifyDataDir, main };
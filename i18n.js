@@ -0,0 +1,554 @@
+/**
+ * ISM-E-AZAM CALCULATOR - Interface Languages
+ * String catalogue for the calculator page and the language toggle.
+ * Messages from the calculator library itself (warnings, input errors,
+ * system/profile labels) come from its own catalogue; setLanguage keeps
+ * both in the same locale.
+ */
+
+// ========================================
+// STRING CATALOGUE
+// ========================================
+
+const I18N_STORAGE_KEY = 'ismEAzamLanguage';
+const I18N_DEFAULT_LANGUAGE = 'en';
+
+const I18N_LANGUAGES = {
+  en: { label: 'English', dir: 'ltr' },
+  ur: { label: 'اردو', dir: 'rtl' }
+};
+
+const I18N_STRINGS = {
+  en: {
+    'language.toggle': 'اردو',
+    'language.toggleTitle': 'اردو میں دیکھیں',
+
+    'input.heading': 'Enter Your Name',
+    'input.label': "Person's Name (Arabic, Urdu or Roman Urdu):",
+    'input.placeholder': 'Enter name in Arabic or Urdu, or type e.g. Abdullah...',
+    'input.keyboard': 'Open Urdu Keyboard',
+    'input.help': 'You can enter the name in Arabic or Urdu script (or use the keyboard button). Names typed in Latin letters are converted to Arabic script for you to confirm.',
+    'mother.toggle': "Include mother's name",
+    'mother.label': "Mother's Name (Arabic, Urdu or Roman Urdu):",
+    'mother.placeholder': "Enter the mother's name...",
+    'mother.help': 'Each name is calculated on its own and the two totals are added. Divine Names are matched for the combined total and for each name.',
+
+    'options.system': 'Abjad System:',
+    'options.profile': 'Orthography:',
+    'options.shadda': 'Shadda (Tashdeed):',
+    'options.shaddaOnce': 'Count once',
+    'options.shaddaTwice': 'Count twice',
+    'options.depth': 'Match Depth:',
+    'options.depth2': 'Up to 2 names',
+    'options.depth3': 'Up to 3 names',
+    'options.depth4': 'Up to 4 names',
+    'options.tolerance': 'Closest Values Within:',
+    'options.sort': 'Sort Combinations:',
+    'filters.heading': 'Filter Combinations',
+    'filters.active': '({count} active)',
+    'filters.require': 'Must include:',
+    'filters.exclude': 'Leave out:',
+    'filters.addName': 'Add a name…',
+    'filters.remove': 'Remove {name}',
+    'filters.minValue': 'Smallest name value:',
+    'filters.maxValue': 'Largest name value:',
+    'filters.allowRepeat': 'Allow a name to repeat',
+    'filters.reset': 'Reset Filters',
+    'options.stripHonorifics': 'Exclude titles & castes (Syed, Sheikh, Khan...)',
+    'options.matchWords': 'Also match each word of the name',
+
+    'button.calculate': 'Calculate Ism-e-Azam',
+    'button.calculating': 'Calculating...',
+    'button.cancelSearch': 'Stop Search',
+    'button.loadMore': 'Show More',
+    'button.clear': 'Clear',
+
+    'transliteration.heading': 'Choose the correct spelling',
+    'transliteration.help': 'Your name was typed in Latin letters. Each spelling gives a different total, so pick the one used for your name.',
+    'transliteration.common': 'common spelling',
+
+    'keyboard.heading': 'Urdu Keyboard',
+    'keyboard.close': 'Close Keyboard (Esc)',
+    'keyboard.space': 'Space',
+    'keyboard.enter': 'Enter',
+
+    'summary.heading': 'Input Summary',
+    'summary.original': 'Original Name:',
+    'summary.cleaned': 'Cleaned Name:',
+    'summary.mother': "Mother's Name:",
+    'summary.motherCleaned': "Cleaned Mother's Name:",
+    'summary.excludedHint': 'Struck-through words are titles or castes left out of the total. Click a word to include or exclude it.',
+    'summary.honorificExcluded': '{title} (excluded) — click to include',
+    'summary.honorificIncluded': '{title} (included) — click to exclude',
+
+    'match.heading': 'Divine Name Match Result',
+    'match.loading': 'Searching for matches...',
+    'match.progress': 'Searching {size}-name combinations... {percent}%',
+    'match.progressParts': 'Searching match {index} of {count}... {percent}%',
+    'match.cancelled': 'Search stopped before it finished; only what was found so far is shown.',
+    'match.none': 'No direct matches or combinations found for value <strong>{value}</strong>',
+    'match.directHeading': '🎉 Direct Match Found!',
+    'match.directCount': '{count} Divine Name(s) with value <strong>{value}</strong>',
+    'match.comboHeading': '🎯 Combinations Found!',
+    'match.comboCount': '{count} combination(s) that add up to <strong>{value}</strong>',
+    'match.showing': 'Showing {shown} of {total}',
+    'match.multiHeading': '🎯 {names}-Name Combinations Found!',
+    'match.multiCount': '{count} combination(s) of {names} names that add up to <strong>{value}</strong>',
+    'match.nearestHeading': '🔍 No exact match — closest values',
+    'match.nearestHelp': 'Nothing adds up to exactly <strong>{value}</strong>. These are the closest names and pairs within ±{tolerance}; they are suggestions, not matches.',
+    'match.below': 'Closest below {value}',
+    'match.above': 'Closest above {value}',
+    'match.responseTime': 'Response time: {ms}ms',
+    'match.partHeading': '{part} alone: {name} = {value}',
+    'match.wordHeading': 'Word {word} = {value}',
+    'match.wordHeadingPart': '{part}, word {word} = {value}',
+
+    'breakdown.heading': 'Character-by-Character Breakdown',
+    'breakdown.kabir': 'Kabir',
+    'breakdown.saghir': 'Saghir',
+    'breakdown.wasit': 'Wasit',
+    'breakdown.akbar': 'Akbar (Bast)',
+    'breakdown.position': 'Position',
+    'breakdown.character': 'Character',
+    'breakdown.value': 'Abjad Value',
+    'breakdown.doubled': 'doubled',
+    'breakdown.doubledTitle': 'Carried a shadda (tashdeed)',
+    'breakdown.subtotal': '{part} subtotal',
+    'breakdown.wordToggle': 'Show or hide the letters of this word',
+
+    'total.heading': 'Total Abjad Value',
+    'total.part': '{part}: {value}',
+
+    'share.heading': 'Save & Share',
+    'share.help': 'Download the name, letter breakdown, total and matched Divine Names as a card to keep or print, or send a link that opens this exact result.',
+    'share.png': 'Download PNG',
+    'share.pdf': 'Download PDF',
+    'share.copy': 'Copy Link',
+    'share.share': 'Share',
+    'share.copied': 'Link copied to clipboard',
+    'share.failed': 'Could not share: {error}',
+    'share.title': 'Ism-e-Azam Calculator',
+    'share.text': 'Ism-e-Azam value of {name}: {value}',
+    'share.textMother': 'Ism-e-Azam value of {name} with mother {mother}: {value}',
+
+    'card.breakdown': 'Letter Breakdown',
+    'card.total': 'Total Abjad Value',
+    'card.direct': 'Divine Name Match',
+    'card.combinations': 'Divine Name Combinations',
+    'card.multi': '{names}-Name Combinations',
+    'card.nearest': 'No exact match — closest values',
+    'card.none': 'No matches found',
+
+    'empty.prompt': 'Enter a name and click "Calculate Ism-e-Azam" to get started',
+
+    'batch.heading': 'Batch Calculation',
+    'batch.help': 'Paste one name per line, or upload a CSV file whose first column holds the names. The options above apply to every row.',
+    'batch.names': 'Names:',
+    'batch.upload': 'Or upload CSV:',
+    'batch.run': 'Calculate All',
+    'batch.export': 'Export CSV',
+    'batch.clear': 'Clear',
+    'batch.columnName': 'Name',
+    'batch.columnCleaned': 'Cleaned Name',
+    'batch.columnTotal': 'Total',
+    'batch.columnMatches': 'Matched Names / Combinations',
+    'batch.summary': '{count} name(s) calculated',
+    'batch.summaryErrors': '{count} name(s) calculated, {failed} with errors',
+    'batch.latin': 'Latin letters; write in Arabic script',
+    'batch.latinExample': 'Latin letters; write in Arabic script (e.g. {example})',
+    'batch.noMatch': 'No match',
+    'batch.progress': 'Matched {done} of {count} totals... {percent}%',
+    'batch.stopped': 'Matching was stopped before this name',
+    'batch.empty': 'Please enter or upload at least one name for the batch',
+    'batch.readError': 'Could not read the uploaded file',
+
+    'history.heading': 'History & Favourites',
+    'history.help': 'Your calculations are saved in this browser only. Star the ones you want to keep and click a name to run it again with the same options.',
+    'history.search': 'Search names, values or matches...',
+    'history.favouritesOnly': 'Favourites only',
+    'history.export': 'Export JSON',
+    'history.import': 'Import JSON',
+    'history.empty': 'No calculations saved yet.',
+    'history.noResults': 'No saved calculations match your search.',
+    'history.star': 'Add to favourites',
+    'history.unstar': 'Remove from favourites',
+    'history.run': 'Calculate again',
+    'history.delete': 'Delete',
+    'history.withMother': '{name} + {mother}',
+    'history.imported': 'Imported {count} entries',
+    'history.importedSkipped': 'Imported {count} entries, skipped {skipped} invalid',
+    'history.importError': 'Could not import history: {error}',
+    'history.notAList': 'File does not contain a history list',
+
+    'matchType.direct_match': 'Direct match',
+    'matchType.two_name_combination': '2-name combination',
+    'matchType.multi_name_combination': 'Multi-name combination',
+    'matchType.nearest': 'Nearest values',
+    'matchType.none': 'No match',
+
+    'error.enterName': 'Please enter a name',
+    'error.enterMother': "Please enter the mother's name, or untick \"Include mother's name\"",
+    'error.calculate': 'Failed to calculate Abjad value',
+    'error.match': 'Failed to find matching Divine Names',
+    'error.generic': 'An error occurred: {error}',
+    'error.exportFirst': 'Calculate a name before downloading the result',
+    'error.card': 'Could not create the result card: {error}',
+    'error.transliterate': 'Could not convert the name to Arabic script',
+    'error.notReady': 'The Divine Names data is still loading, please wait a moment',
+
+    'offline.saving': 'Saving data for offline use...',
+    'offline.available': 'Available offline',
+    'offline.offline': 'Offline mode',
+    'offline.summary': '{status} | Data v{data} ({names} names, saved {date}) | App {app}',
+    'offline.unknownDate': 'unknown date',
+    'offline.install': 'Install App',
+
+    'init.failed': 'Failed to load Divine Names data. The calculator requires the asmaul_husna.json file.',
+    'init.offline': 'You are offline and the Divine Names data has not been saved on this device yet. Open the calculator once while connected to use it offline.',
+    'init.error': 'Error during initialization: {error}',
+
+    'browse.link': 'Browse All Divine Names',
+    'browse.title': 'Asma-ul-Husna Catalogue',
+    'browse.subtitle': 'Every Divine Name with its meaning and Abjad value',
+    'browse.search': 'Search:',
+    'browse.searchPlaceholder': 'Arabic, transliteration, meaning or value',
+    'browse.minValue': 'Smallest value:',
+    'browse.maxValue': 'Largest value:',
+    'browse.sort': 'Sort by:',
+    'browse.descending': 'Reverse order',
+    'browse.count': 'Showing {count} of {total} names',
+    'browse.none': 'No Divine Name matches this search.',
+    'browse.columnArabic': 'Name',
+    'browse.columnEnglish': 'Transliteration',
+    'browse.columnMeaning': 'Meaning',
+    'browse.columnValue': 'Value',
+    'browse.close': 'Close',
+    'browse.category': 'Theme: {category}',
+    'browse.value': 'Abjad value: {value}',
+    'browse.breakdownHeading': 'Letter Breakdown',
+    'browse.total': 'Total',
+    'browse.articleNote': 'The leading ال (al-) is not counted in the recorded value.',
+    'browse.mismatchNote': 'The recorded value is {recorded}, but these letters add up to {computed}.',
+    'browse.sharedHeading': 'Names with the same value ({value})',
+    'browse.sharedNone': 'No other Divine Name has this value.',
+    'browse.complementsHeading': 'Complementing names',
+    'browse.complementsHelp': 'Names that, added to {name}, give the value of another Divine Name.',
+    'browse.complementsNone': 'No name adds up with this one to another Divine Name.',
+    'browse.back': 'Back to the Calculator',
+
+    'info.text': 'Understanding the spiritual significance and the correct methodology for reciting your Ism-e-Azam is essential for achieving the desired spiritual benefits. Our comprehensive guide provides detailed insights into the traditional practices and the importance of these Divine names in Islamic numerology.',
+    'footer.text': 'ISM-E-AZAM Calculator v2.0 (Client-Side) | Based on Islamic Numerology (Abjad System)'
+  },
+
+  ur: {
+    'language.toggle': 'English',
+    'language.toggleTitle': 'View in English',
+
+    'input.heading': 'اپنا نام درج کریں',
+    'input.label': 'نام (عربی، اردو یا رومن اردو میں):',
+    'input.placeholder': 'نام عربی یا اردو میں لکھیں، یا مثلاً Abdullah ٹائپ کریں...',
+    'input.keyboard': 'اردو کی بورڈ کھولیں',
+    'input.help': 'نام عربی یا اردو رسم الخط میں لکھیں (یا کی بورڈ کا بٹن استعمال کریں)۔ لاطینی حروف میں لکھے گئے نام عربی رسم الخط میں بدل دیے جاتے ہیں تاکہ آپ تصدیق کر سکیں۔',
+    'mother.toggle': 'والدہ کا نام بھی شامل کریں',
+    'mother.label': 'والدہ کا نام (عربی، اردو یا رومن اردو میں):',
+    'mother.placeholder': 'والدہ کا نام درج کریں...',
+    'mother.help': 'دونوں ناموں کا حساب الگ الگ کر کے ان کے اعداد جمع کیے جاتے ہیں۔ اسمائے الٰہی مجموعی عدد اور ہر نام کے لیے الگ تلاش کیے جاتے ہیں۔',
+
+    'options.system': 'ابجد نظام:',
+    'options.profile': 'املا:',
+    'options.shadda': 'تشدید:',
+    'options.shaddaOnce': 'ایک بار گنیں',
+    'options.shaddaTwice': 'دو بار گنیں',
+    'options.depth': 'ملاپ کی گہرائی:',
+    'options.depth2': 'زیادہ سے زیادہ 2 نام',
+    'options.depth3': 'زیادہ سے زیادہ 3 نام',
+    'options.depth4': 'زیادہ سے زیادہ 4 نام',
+    'options.tolerance': 'قریب ترین اعداد کی حد:',
+    'options.sort': 'مجموعوں کی ترتیب:',
+    'filters.heading': 'مجموعوں کی چھانٹی',
+    'filters.active': '({count} فعال)',
+    'filters.require': 'لازماً شامل ہو:',
+    'filters.exclude': 'شامل نہ ہو:',
+    'filters.addName': 'کوئی نام چنیں…',
+    'filters.remove': '{name} ہٹائیں',
+    'filters.minValue': 'نام کا کم از کم عدد:',
+    'filters.maxValue': 'نام کا زیادہ سے زیادہ عدد:',
+    'filters.allowRepeat': 'ایک نام کو دہرانے کی اجازت دیں',
+    'filters.reset': 'چھانٹی ختم کریں',
+    'options.stripHonorifics': 'القاب اور ذاتیں شامل نہ کریں (سید، شیخ، خان...)',
+    'options.matchWords': 'نام کے ہر لفظ کے لیے بھی موافق نام تلاش کریں',
+
+    'button.calculate': 'اسمِ اعظم معلوم کریں',
+    'button.calculating': 'حساب ہو رہا ہے...',
+    'button.cancelSearch': 'تلاش روکیں',
+    'button.loadMore': 'مزید دکھائیں',
+    'button.clear': 'صاف کریں',
+
+    'transliteration.heading': 'درست ہجے منتخب کریں',
+    'transliteration.help': 'آپ کا نام لاطینی حروف میں لکھا گیا ہے۔ ہر ہجے کا مجموعہ مختلف ہے، اس لیے وہ ہجے منتخب کریں جو آپ کے نام کے لیے استعمال ہوتے ہیں۔',
+    'transliteration.common': 'عام ہجے',
+
+    'keyboard.heading': 'اردو کی بورڈ',
+    'keyboard.close': 'کی بورڈ بند کریں (Esc)',
+    'keyboard.space': 'وقفہ',
+    'keyboard.enter': 'درج کریں',
+
+    'summary.heading': 'اندراج کا خلاصہ',
+    'summary.original': 'اصل نام:',
+    'summary.cleaned': 'صاف شدہ نام:',
+    'summary.mother': 'والدہ کا نام:',
+    'summary.motherCleaned': 'والدہ کا صاف شدہ نام:',
+    'summary.excludedHint': 'کٹے ہوئے الفاظ وہ القاب یا ذاتیں ہیں جو مجموعے میں شامل نہیں کی گئیں۔ کسی لفظ پر کلک کر کے اسے شامل یا خارج کریں۔',
+    'summary.honorificExcluded': '{title} (خارج) — شامل کرنے کے لیے کلک کریں',
+    'summary.honorificIncluded': '{title} (شامل) — خارج کرنے کے لیے کلک کریں',
+
+    'match.heading': 'اسمائے الٰہی کا نتیجہ',
+    'match.loading': 'موافق نام تلاش کیے جا رہے ہیں...',
+    'match.progress': '{size} ناموں کے مجموعے تلاش کیے جا رہے ہیں... {percent}٪',
+    'match.progressParts': 'موافقت {count} میں سے {index} تلاش کی جا رہی ہے... {percent}٪',
+    'match.cancelled': 'تلاش مکمل ہونے سے پہلے روک دی گئی؛ اب تک ملنے والے نتائج ہی دکھائے گئے ہیں۔',
+    'match.none': 'عدد <strong>{value}</strong> کے لیے کوئی براہِ راست نام یا مجموعہ نہیں ملا',
+    'match.directHeading': '🎉 براہِ راست موافق نام مل گیا!',
+    'match.directCount': 'عدد <strong>{value}</strong> والے {count} اسمائے الٰہی',
+    'match.comboHeading': '🎯 مجموعے مل گئے!',
+    'match.comboCount': '{count} مجموعے جن کا حاصلِ جمع <strong>{value}</strong> ہے',
+    'match.showing': '{total} میں سے {shown} دکھائے گئے',
+    'match.multiHeading': '🎯 {names} ناموں کے مجموعے مل گئے!',
+    'match.multiCount': '{names} ناموں کے {count} مجموعے جن کا حاصلِ جمع <strong>{value}</strong> ہے',
+    'match.nearestHeading': '🔍 بالکل برابر نہیں — قریب ترین اعداد',
+    'match.nearestHelp': 'کوئی نام یا مجموعہ بالکل <strong>{value}</strong> کے برابر نہیں۔ یہ ±{tolerance} کے اندر قریب ترین نام اور جوڑے ہیں؛ یہ تجاویز ہیں، موافق نام نہیں۔',
+    'match.below': '{value} سے کم قریب ترین',
+    'match.above': '{value} سے زیادہ قریب ترین',
+    'match.responseTime': 'جوابی وقت: {ms} ملی سیکنڈ',
+    'match.partHeading': 'صرف {part}: {name} = {value}',
+    'match.wordHeading': 'لفظ {word} = {value}',
+    'match.wordHeadingPart': '{part}، لفظ {word} = {value}',
+
+    'breakdown.heading': 'حرف بہ حرف تفصیل',
+    'breakdown.kabir': 'کبیر',
+    'breakdown.saghir': 'صغیر',
+    'breakdown.wasit': 'وسیط',
+    'breakdown.akbar': 'اکبر (بسط)',
+    'breakdown.position': 'مقام',
+    'breakdown.character': 'حرف',
+    'breakdown.value': 'ابجد عدد',
+    'breakdown.doubled': 'دوہرا',
+    'breakdown.doubledTitle': 'اس حرف پر تشدید تھی',
+    'breakdown.subtotal': '{part} کا میزان',
+    'breakdown.wordToggle': 'اس لفظ کے حروف دکھائیں یا چھپائیں',
+
+    'total.heading': 'کل ابجد عدد',
+    'total.part': '{part}: {value}',
+
+    'share.heading': 'محفوظ کریں اور بھیجیں',
+    'share.help': 'نام، حروف کی تفصیل، کل عدد اور موافق اسمائے الٰہی ایک کارڈ کی صورت میں محفوظ یا پرنٹ کریں، یا ایسا لنک بھیجیں جو یہی نتیجہ کھولے۔',
+    'share.png': 'PNG ڈاؤن لوڈ کریں',
+    'share.pdf': 'PDF ڈاؤن لوڈ کریں',
+    'share.copy': 'لنک کاپی کریں',
+    'share.share': 'شیئر کریں',
+    'share.copied': 'لنک کاپی ہو گیا',
+    'share.failed': 'شیئر نہیں ہو سکا: {error}',
+    'share.title': 'اسمِ اعظم کیلکولیٹر',
+    'share.text': '{name} کا اسمِ اعظم عدد: {value}',
+    'share.textMother': '{name} (والدہ {mother}) کا اسمِ اعظم عدد: {value}',
+
+    'card.breakdown': 'حروف کی تفصیل',
+    'card.total': 'کل ابجد عدد',
+    'card.direct': 'موافق اسمائے الٰہی',
+    'card.combinations': 'اسمائے الٰہی کے مجموعے',
+    'card.multi': '{names} ناموں کے مجموعے',
+    'card.nearest': 'بالکل برابر نہیں — قریب ترین اعداد',
+    'card.none': 'کوئی موافق نام نہیں ملا',
+
+    'empty.prompt': 'شروع کرنے کے لیے نام درج کریں اور "اسمِ اعظم معلوم کریں" پر کلک کریں',
+
+    'batch.heading': 'ایک ساتھ کئی نام',
+    'batch.help': 'ہر سطر میں ایک نام لکھیں، یا ایسی CSV فائل اپ لوڈ کریں جس کے پہلے کالم میں نام ہوں۔ اوپر کے اختیارات ہر نام پر لاگو ہوں گے۔',
+    'batch.names': 'نام:',
+    'batch.upload': 'یا CSV فائل اپ لوڈ کریں:',
+    'batch.run': 'سب کا حساب کریں',
+    'batch.export': 'CSV ڈاؤن لوڈ کریں',
+    'batch.clear': 'صاف کریں',
+    'batch.columnName': 'نام',
+    'batch.columnCleaned': 'صاف شدہ نام',
+    'batch.columnTotal': 'مجموعہ',
+    'batch.columnMatches': 'موافق نام / مجموعے',
+    'batch.summary': '{count} ناموں کا حساب ہو گیا',
+    'batch.summaryErrors': '{count} ناموں کا حساب ہو گیا، {failed} میں غلطی',
+    'batch.latin': 'لاطینی حروف؛ نام عربی رسم الخط میں لکھیں',
+    'batch.latinExample': 'لاطینی حروف؛ نام عربی رسم الخط میں لکھیں (مثلاً {example})',
+    'batch.noMatch': 'کوئی موافق نام نہیں',
+    'batch.progress': '{count} میں سے {done} مجموعوں کی موافقت ہو گئی... {percent}٪',
+    'batch.stopped': 'اس نام تک پہنچنے سے پہلے تلاش روک دی گئی',
+    'batch.empty': 'کم از کم ایک نام لکھیں یا فائل اپ لوڈ کریں',
+    'batch.readError': 'اپ لوڈ کی گئی فائل پڑھی نہیں جا سکی',
+
+    'history.heading': 'تاریخچہ اور پسندیدہ',
+    'history.help': 'آپ کے حسابات صرف اسی براؤزر میں محفوظ ہوتے ہیں۔ جنہیں رکھنا ہو انہیں ستارہ لگائیں، اور کسی نام پر کلک کر کے انہی اختیارات کے ساتھ دوبارہ حساب کریں۔',
+    'history.search': 'نام، عدد یا موافق نام تلاش کریں...',
+    'history.favouritesOnly': 'صرف پسندیدہ',
+    'history.export': 'JSON ڈاؤن لوڈ کریں',
+    'history.import': 'JSON درآمد کریں',
+    'history.empty': 'ابھی کوئی حساب محفوظ نہیں۔',
+    'history.noResults': 'تلاش سے ملتا کوئی محفوظ حساب نہیں۔',
+    'history.star': 'پسندیدہ میں شامل کریں',
+    'history.unstar': 'پسندیدہ سے نکالیں',
+    'history.run': 'دوبارہ حساب کریں',
+    'history.delete': 'حذف کریں',
+    'history.withMother': '{name} + {mother}',
+    'history.imported': '{count} اندراجات درآمد ہو گئے',
+    'history.importedSkipped': '{count} اندراجات درآمد ہو گئے، {skipped} غلط اندراجات چھوڑ دیے گئے',
+    'history.importError': 'تاریخچہ درآمد نہیں ہو سکا: {error}',
+    'history.notAList': 'فائل میں تاریخچے کی فہرست موجود نہیں',
+
+    'matchType.direct_match': 'براہِ راست',
+    'matchType.two_name_combination': 'دو ناموں کا مجموعہ',
+    'matchType.multi_name_combination': 'کئی ناموں کا مجموعہ',
+    'matchType.nearest': 'قریب ترین اعداد',
+    'matchType.none': 'کوئی موافق نام نہیں',
+
+    'error.enterName': 'براہِ کرم نام درج کریں',
+    'error.enterMother': 'براہِ کرم والدہ کا نام درج کریں، یا "والدہ کا نام بھی شامل کریں" کا نشان ہٹا دیں',
+    'error.calculate': 'ابجد عدد کا حساب نہیں ہو سکا',
+    'error.match': 'موافق اسمائے الٰہی تلاش نہیں ہو سکے',
+    'error.generic': 'ایک خرابی پیش آئی: {error}',
+    'error.exportFirst': 'نتیجہ ڈاؤن لوڈ کرنے سے پہلے کسی نام کا حساب کریں',
+    'error.card': 'نتیجے کا کارڈ نہیں بن سکا: {error}',
+    'error.transliterate': 'نام کو عربی رسم الخط میں نہیں بدلا جا سکا',
+    'error.notReady': 'اسمائے الٰہی کا ڈیٹا ابھی لوڈ ہو رہا ہے، براہِ کرم تھوڑا انتظار کریں',
+
+    'offline.saving': 'آف لائن استعمال کے لیے ڈیٹا محفوظ ہو رہا ہے...',
+    'offline.available': 'آف لائن دستیاب',
+    'offline.offline': 'آف لائن موڈ',
+    'offline.summary': '{status} | ڈیٹا v{data} ({names} نام، محفوظ {date}) | ایپ {app}',
+    'offline.unknownDate': 'نامعلوم تاریخ',
+    'offline.install': 'ایپ انسٹال کریں',
+
+    'init.failed': 'اسمائے الٰہی کا ڈیٹا لوڈ نہیں ہو سکا۔ کیلکولیٹر کے لیے asmaul_husna.json فائل ضروری ہے۔',
+    'init.offline': 'آپ آف لائن ہیں اور اسمائے الٰہی کا ڈیٹا ابھی اس آلے پر محفوظ نہیں ہوا۔ آف لائن استعمال کے لیے ایک بار انٹرنیٹ کے ساتھ کیلکولیٹر کھولیں۔',
+    'init.error': 'ابتدا کے دوران خرابی: {error}',
+
+    'browse.link': 'تمام اسمائے الٰہی دیکھیں',
+    'browse.title': 'اسمائے حسنیٰ کی فہرست',
+    'browse.subtitle': 'ہر اسمِ الٰہی، اس کے معنی اور ابجد عدد کے ساتھ',
+    'browse.search': 'تلاش:',
+    'browse.searchPlaceholder': 'عربی نام، انگریزی تلفظ، معنی یا عدد',
+    'browse.minValue': 'کم از کم عدد:',
+    'browse.maxValue': 'زیادہ سے زیادہ عدد:',
+    'browse.sort': 'ترتیب:',
+    'browse.descending': 'الٹی ترتیب',
+    'browse.count': '{total} میں سے {count} نام',
+    'browse.none': 'اس تلاش سے کوئی اسمِ الٰہی نہیں ملا۔',
+    'browse.columnArabic': 'نام',
+    'browse.columnEnglish': 'انگریزی تلفظ',
+    'browse.columnMeaning': 'معنی',
+    'browse.columnValue': 'عدد',
+    'browse.close': 'بند کریں',
+    'browse.category': 'موضوع: {category}',
+    'browse.value': 'ابجد عدد: {value}',
+    'browse.breakdownHeading': 'حروف کی تفصیل',
+    'browse.total': 'میزان',
+    'browse.articleNote': 'درج شدہ عدد میں شروع کا ال شامل نہیں کیا گیا۔',
+    'browse.mismatchNote': 'درج شدہ عدد {recorded} ہے، مگر ان حروف کا مجموعہ {computed} بنتا ہے۔',
+    'browse.sharedHeading': 'اسی عدد ({value}) والے نام',
+    'browse.sharedNone': 'کسی اور اسمِ الٰہی کا یہ عدد نہیں۔',
+    'browse.complementsHeading': 'تکمیلی نام',
+    'browse.complementsHelp': 'وہ نام جو {name} کے ساتھ مل کر کسی دوسرے اسمِ الٰہی کا عدد بناتے ہیں۔',
+    'browse.complementsNone': 'کوئی نام اس کے ساتھ مل کر کسی دوسرے اسمِ الٰہی کا عدد نہیں بناتا۔',
+    'browse.back': 'کیلکولیٹر پر واپس جائیں',
+
+    'info.text': 'اپنے اسمِ اعظم کی روحانی اہمیت اور اس کے ورد کا درست طریقہ سمجھنا مطلوبہ روحانی فوائد کے لیے ضروری ہے۔ ہماری تفصیلی رہنمائی روایتی طریقوں اور علمِ اعداد میں اسمائے الٰہی کی اہمیت پر روشنی ڈالتی ہے۔',
+    'footer.text': 'اسمِ اعظم کیلکولیٹر v2.0 (براؤزر میں) | علمِ اعداد (ابجد نظام) پر مبنی'
+  }
+};
+
+let currentLanguage = I18N_DEFAULT_LANGUAGE;
+
+// ========================================
+// LOOKUP
+// ========================================
+
+/**
+ * Translate a key, filling {placeholders} from params.
+ * Falls back to English, then to the key itself.
+ */
+function t(key, params = {}) {
+  const template = I18N_STRINGS[currentLanguage][key] ?? I18N_STRINGS[I18N_DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Current interface language
+ */
+function getLanguage() {
+  return currentLanguage;
+}
+
+// ========================================
+// PAGE TRANSLATION
+// ========================================
+
+/**
+ * Translate every element marked with data-i18n (text), data-i18n-placeholder
+ * or data-i18n-title
+ */
+function applyTranslations(root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) {
+    el.textContent = t(el.dataset.i18n);
+  }
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  }
+  for (const el of root.querySelectorAll('[data-i18n-title]')) {
+    el.title = t(el.dataset.i18nTitle);
+  }
+}
+
+/**
+ * Switch the interface and calculator messages to another language.
+ * Fires `uilanguagechange` on document so open results can be redrawn.
+ */
+function setLanguage(language) {
+  if (!I18N_LANGUAGES[language]) {
+    language = I18N_DEFAULT_LANGUAGE;
+  }
+  currentLanguage = language;
+
+  try {
+    localStorage.setItem(I18N_STORAGE_KEY, language);
+  } catch (error) {
+    // Storage can be blocked; the choice then lasts for this visit only
+  }
+
+  document.documentElement.lang = language;
+  document.documentElement.dir = I18N_LANGUAGES[language].dir;
+  window.ism_e_azam_calculator_p.setLocale(language);
+  applyTranslations();
+
+  document.dispatchEvent(new CustomEvent('uilanguagechange', { detail: { language } }));
+}
+
+/**
+ * Saved choice, else the browser language
+ */
+function getInitialLanguage() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(I18N_STORAGE_KEY);
+  } catch (error) {
+    saved = null;
+  }
+  if (saved && I18N_LANGUAGES[saved]) {
+    return saved;
+  }
+  return (navigator.language || '').toLowerCase().startsWith('ur') ? 'ur' : I18N_DEFAULT_LANGUAGE;
+}
+
+const languageToggle = document.getElementById('languageToggle');
+if (languageToggle) {
+  languageToggle.addEventListener('click', () => {
+    setLanguage(currentLanguage === 'ur' ? 'en' : 'ur');
+  });
+}
+
+setLanguage(getInitialLanguage());
@@ -0,0 +1,128 @@
+/**
+ * ISM-E-AZAM CALCULATOR - Match Worker
+ * Runs Divine Name matching off the page's main thread so a deep search
+ * never freezes the form or the Urdu keyboard.
+ *
+ * Messages from the page:
+ *   { type: 'match', id, values, options }  match each value (starting a job
+ *                                           cancels the one before it)
+ *   { type: 'cancel', id }                  abandon a job
+ * Messages to the page:
+ *   { type: 'ready', versions }             data loaded
+ *   { type: 'error', message }              data failed to load
+ *   { type: 'progress', id, index, count, nameCount, fraction, combinations }
+ *   { type: 'result', id, results }         one matchDivineNames result per value
+ *   { type: 'cancelled', id }
+ */
+
+importScripts('calculator.js');
+
+const calculator = self.ism_e_azam_calculator_p;
+
+// Longest stretch of searching before the worker checks for new messages
+const SLICE_MS = 15;
+
+// The job being searched, or null when idle
+let activeJob = null;
+
+/**
+ * Fetch one data bundle from data/
+ */
+async function fetchDataFile(fileName) {
+  const response = await fetch(`data/${fileName}`);
+  if (!response.ok) {
+    throw new Error(`Could not load data/${fileName} (HTTP ${response.status})`);
+  }
+  return response.json();
+}
+
+const dataReady = calculator.loadData(fetchDataFile);
+dataReady.then(
+  versions => self.postMessage({ type: 'ready', versions }),
+  error => self.postMessage({ type: 'error', message: error.message })
+);
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+
+  if (message.type === 'match') {
+    startJob(message);
+  } else if (message.type === 'cancel' && activeJob && activeJob.id === message.id) {
+    activeJob = null;
+    self.postMessage({ type: 'cancelled', id: message.id });
+  }
+});
+
+/**
+ * Replace any running job with a new one and start it once the data is in
+ */
+function startJob({ id, values, options }) {
+  if (activeJob) {
+    self.postMessage({ type: 'cancelled', id: activeJob.id });
+  }
+
+  const job = { id, values, options, results: [], steps: null, progress: null, found: [] };
+  activeJob = job;
+  // A failed load has already been reported with an 'error' message
+  dataReady.then(() => runJob(job), () => {});
+}
+
+/**
+ * Search for one slice, report progress, then yield to the event loop so a
+ * cancel or a newer job can arrive before the next slice
+ */
+function runJob(job) {
+  if (activeJob !== job) {
+    return;
+  }
+
+  const deadline = performance.now() + SLICE_MS;
+  do {
+    if (!job.steps) {
+      job.steps = calculator.matchDivineNamesInSteps(job.values[job.results.length], job.options);
+      job.progress = null;
+      job.found = [];
+    }
+
+    const step = job.steps.next();
+    if (!step.done) {
+      job.progress = step.value;
+      job.found.push(...step.value.combinations);
+      continue;
+    }
+
+    job.results.push(step.value);
+    job.steps = null;
+    if (job.results.length === job.values.length) {
+      activeJob = null;
+      self.postMessage({ type: 'result', id: job.id, results: job.results });
+      return;
+    }
+  } while (performance.now() < deadline);
+
+  postProgress(job);
+  setTimeout(() => runJob(job), 0);
+}
+
+/**
+ * Tell the page how far the job has got, passing on the combinations found
+ * since the last report
+ */
+function postProgress(job) {
+  const maxNames = job.options.maxNames || 2;
+  const { nameCount = 2, step = 0, steps = 1 } = job.progress || {};
+
+  // Sizes 3..maxNames are searched in turn; each is an equal share of a value
+  const valueFraction = maxNames > 2 ? (nameCount - 3 + step / steps) / (maxNames - 2) : 0;
+
+  self.postMessage({
+    type: 'progress',
+    id: job.id,
+    index: job.results.length,
+    count: job.values.length,
+    nameCount,
+    fraction: (job.results.length + Math.max(0, valueFraction)) / job.values.length,
+    combinations: job.found
+  });
+  job.found = [];
+}
@@ -0,0 +1,379 @@
+/**
+ * ISM-E-AZAM CALCULATOR - Result Card Export
+ * Draws a calculation result as an RTL card on a canvas and saves it as a
+ * PNG image or a one-page PDF. Everything runs in the browser: the browser
+ * shapes the Arabic/Urdu text while drawing, and the PDF embeds the drawn
+ * image, so the shaping survives unchanged.
+ */
+
+// ========================================
+// CARD LAYOUT
+// ========================================
+
+const RESULT_CARD = {
+  width: 1080,
+  padding: 60,
+  colors: {
+    primary: '#2c5282',
+    primaryDark: '#1a365d',
+    primaryLight: '#ebf8ff',
+    accent: '#d69e2e',
+    warning: '#e67e22',
+    text: '#2d3748',
+    gray: '#718096',
+    border: '#e2e8f0',
+    white: '#ffffff'
+  },
+  fontArabic: '"Arial", "Simplified Arabic", "Traditional Arabic", sans-serif',
+  fontLatin: '"Segoe UI", Tahoma, Geneva, Verdana, sans-serif',
+  maxCombinations: 5
+};
+
+/**
+ * Lines of match text for the card: [{ arabic, latin }]
+ */
+function describeMatchForCard(matchResult) {
+  const lines = [];
+  const join = names => ({
+    arabic: names.map(name => name.arabic_name).join(' + '),
+    latin: names.map(name => `${name.english_name} (${name.abjad_value})`).join(' + ')
+  });
+
+  if (!matchResult) {
+    return { title: '', lines };
+  }
+
+  if (matchResult.type === 'direct_match' && matchResult.found) {
+    for (const name of matchResult.divineNames) {
+      lines.push({ arabic: name.arabic_name, latin: `${name.english_name} (${name.abjad_value})` });
+    }
+    return { title: t('card.direct'), lines };
+  }
+
+  if (matchResult.type === 'two_name_combination' && matchResult.found) {
+    for (const combo of matchResult.combinations.slice(0, RESULT_CARD.maxCombinations)) {
+      lines.push(join([combo.name1, combo.name2]));
+    }
+    return { title: t('card.combinations'), lines };
+  }
+
+  if (matchResult.type === 'multi_name_combination' && matchResult.found) {
+    for (const combo of matchResult.combinations.slice(0, RESULT_CARD.maxCombinations)) {
+      lines.push(join(combo.names));
+    }
+    return { title: t('card.multi', { names: matchResult.nameCount }), lines };
+  }
+
+  if (matchResult.type === 'nearest' && matchResult.hasSuggestions) {
+    for (const suggestion of [...matchResult.below, ...matchResult.above].slice(0, RESULT_CARD.maxCombinations)) {
+      const line = join(suggestion.names);
+      const sign = suggestion.difference > 0 ? '+' : '−';
+      line.latin += `  [${sign}${Math.abs(suggestion.difference)}]`;
+      lines.push(line);
+    }
+    return { title: t('card.nearest'), lines };
+  }
+
+  return { title: t('card.none'), lines };
+}
+
+/**
+ * Split the letter breakdown into rows of chips that fit the card width
+ */
+function layoutLetterChips(characterBreakdown, innerWidth, chipWidth, gap) {
+  const perRow = Math.max(1, Math.floor((innerWidth + gap) / (chipWidth + gap)));
+  const rows = [];
+  for (let i = 0; i < characterBreakdown.length; i += perRow) {
+    rows.push(characterBreakdown.slice(i, i + perRow));
+  }
+  return rows;
+}
+
+/**
+ * Draw a rounded rectangle path
+ */
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * Draw the result card and return its canvas
+ * @param {Object} calcResult - Result of calculateAbjad
+ * @param {Object} matchResult - Result of matchDivineNames
+ * @returns {HTMLCanvasElement}
+ */
+function drawResultCard(calcResult, matchResult) {
+  const { width, padding, colors, fontArabic, fontLatin } = RESULT_CARD;
+  const innerWidth = width - padding * 2;
+  const chipWidth = 90;
+  const chipHeight = 100;
+  const chipGap = 14;
+  const chipRows = layoutLetterChips(calcResult.characterBreakdown, innerWidth, chipWidth, chipGap);
+  const match = describeMatchForCard(matchResult);
+
+  // Headings follow the interface language; names and values keep their own scripts
+  const uiDirection = document.documentElement.dir === 'rtl' ? 'rtl' : 'ltr';
+  const uiFont = uiDirection === 'rtl' ? fontArabic : fontLatin;
+
+  // Work out the height before drawing; canvas size cannot change afterwards
+  const headerHeight = 150;
+  const nameHeight = 170;
+  const chipsHeight = chipRows.length * (chipHeight + chipGap) + 60;
+  const totalHeight = 260;
+  const matchHeight = 80 + match.lines.length * 90;
+  const footerHeight = 70;
+  const height = headerHeight + nameHeight + chipsHeight + totalHeight + matchHeight + footerHeight;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const center = width / 2;
+
+  // Background and frame
+  ctx.fillStyle = colors.white;
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = colors.accent;
+  ctx.lineWidth = 6;
+  roundedRect(ctx, 15, 15, width - 30, height - 30, 24);
+  ctx.stroke();
+
+  // Header band
+  const headerGradient = ctx.createLinearGradient(0, 0, width, headerHeight);
+  headerGradient.addColorStop(0, colors.primary);
+  headerGradient.addColorStop(1, colors.primaryDark);
+  ctx.fillStyle = headerGradient;
+  roundedRect(ctx, 30, 30, width - 60, headerHeight - 40, 18);
+  ctx.fill();
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = colors.white;
+  ctx.direction = 'ltr';
+  ctx.font = `700 40px ${fontLatin}`;
+  ctx.fillText('ISM-E-AZAM', center, 72);
+  ctx.direction = 'rtl';
+  ctx.font = `400 32px ${fontArabic}`;
+  ctx.fillText('اسمِ اعظم', center, 118);
+
+  // Name
+  let y = headerHeight + 50;
+  ctx.direction = 'rtl';
+  ctx.fillStyle = colors.primary;
+  ctx.font = `700 64px ${fontArabic}`;
+  ctx.fillText(calcResult.cleanedName, center, y, innerWidth);
+
+  y += 60;
+  ctx.direction = uiDirection;
+  ctx.fillStyle = colors.gray;
+  ctx.font = `400 24px ${uiFont}`;
+  ctx.fillText(
+    `${calcResult.abjadSystemLabel} · ${calcResult.normalizationProfileLabel}`,
+    center, y, innerWidth
+  );
+  y += nameHeight - 110;
+
+  // Letter breakdown, laid out right to left
+  ctx.fillStyle = colors.text;
+  ctx.font = `600 26px ${uiFont}`;
+  ctx.fillText(t('card.breakdown'), center, y);
+  y += 40;
+
+  for (const row of chipRows) {
+    const rowWidth = row.length * chipWidth + (row.length - 1) * chipGap;
+    let x = center + rowWidth / 2 - chipWidth;
+
+    for (const item of row) {
+      ctx.fillStyle = item.doubled ? '#fffbeb' : colors.primaryLight;
+      roundedRect(ctx, x, y, chipWidth, chipHeight, 12);
+      ctx.fill();
+      ctx.strokeStyle = item.doubled ? colors.warning : colors.border;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      ctx.direction = 'rtl';
+      ctx.fillStyle = colors.primary;
+      ctx.font = `700 40px ${fontArabic}`;
+      ctx.fillText(item.character, x + chipWidth / 2, y + 38);
+
+      ctx.direction = 'ltr';
+      ctx.fillStyle = colors.accent;
+      ctx.font = `700 24px ${fontLatin}`;
+      ctx.fillText(String(item.value), x + chipWidth / 2, y + 78);
+
+      x -= chipWidth + chipGap;
+    }
+    y += chipHeight + chipGap;
+  }
+  y += 20;
+
+  // Total value circle
+  const radius = 100;
+  const circleY = y + radius + 10;
+  const circleGradient = ctx.createLinearGradient(center - radius, circleY - radius, center + radius, circleY + radius);
+  circleGradient.addColorStop(0, colors.primary);
+  circleGradient.addColorStop(1, colors.primaryDark);
+  ctx.fillStyle = circleGradient;
+  ctx.beginPath();
+  ctx.arc(center, circleY, radius, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.direction = 'ltr';
+  ctx.fillStyle = colors.white;
+  ctx.font = `700 64px ${fontLatin}`;
+  ctx.fillText(String(calcResult.totalValue), center, circleY);
+  ctx.direction = uiDirection;
+  ctx.fillStyle = colors.gray;
+  ctx.font = `400 22px ${uiFont}`;
+  ctx.fillText(t('card.total'), center, circleY + radius + 28);
+  y += totalHeight;
+
+  // Matched Divine Names
+  ctx.fillStyle = colors.text;
+  ctx.font = `600 28px ${uiFont}`;
+  ctx.fillText(match.title, center, y);
+  y += 60;
+
+  for (const line of match.lines) {
+    ctx.direction = 'rtl';
+    ctx.fillStyle = colors.primary;
+    ctx.font = `700 38px ${fontArabic}`;
+    ctx.fillText(line.arabic, center, y, innerWidth);
+    ctx.direction = 'ltr';
+    ctx.fillStyle = colors.gray;
+    ctx.font = `400 22px ${fontLatin}`;
+    ctx.fillText(line.latin, center, y + 38, innerWidth);
+    y += 90;
+  }
+
+  // Footer
+  ctx.direction = 'ltr';
+  ctx.fillStyle = colors.gray;
+  ctx.font = `400 20px ${fontLatin}`;
+  ctx.fillText('isme-azam-calculator.com', center, height - 50);
+
+  return canvas;
+}
+
+// ========================================
+// PDF WRITER
+// ========================================
+
+/**
+ * Wrap a JPEG image in a single-page A4 PDF
+ * @param {Uint8Array} jpegBytes - JPEG file contents
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @returns {Blob}
+ */
+function buildImagePDF(jpegBytes, imageWidth, imageHeight) {
+  // A4 in points, with a margin; the image keeps its aspect ratio
+  const pageWidth = 595.28;
+  const pageHeight = 841.89;
+  const margin = 36;
+  const scale = Math.min((pageWidth - margin * 2) / imageWidth, (pageHeight - margin * 2) / imageHeight);
+  const drawWidth = (imageWidth * scale).toFixed(2);
+  const drawHeight = (imageHeight * scale).toFixed(2);
+  const x = ((pageWidth - imageWidth * scale) / 2).toFixed(2);
+  const y = (pageHeight - margin - imageHeight * scale).toFixed(2);
+
+  const content = `q\n${drawWidth} 0 0 ${drawHeight} ${x} ${y} cm\n/Im0 Do\nQ\n`;
+  const ascii = text => Uint8Array.from(text, char => char.charCodeAt(0));
+
+  const objects = [
+    ascii('<< /Type /Catalog /Pages 2 0 R >>'),
+    ascii('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'),
+    ascii(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>'),
+    [
+      ascii(`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`),
+      jpegBytes,
+      ascii('\nendstream')
+    ],
+    ascii(`<< /Length ${content.length} >>\nstream\n${content}endstream`)
+  ];
+
+  const parts = [ascii('%PDF-1.4\n%âãÏÓ\n')];
+  let offset = parts[0].length;
+  const offsets = [];
+
+  objects.forEach((object, i) => {
+    const chunks = [ascii(`${i + 1} 0 obj\n`), ...[].concat(object), ascii('\nendobj\n')];
+    offsets.push(offset);
+    for (const chunk of chunks) {
+      parts.push(chunk);
+      offset += chunk.length;
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF'
+  ].join('\n');
+  parts.push(ascii(xref + '\n'));
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+// ========================================
+// DOWNLOADS
+// ========================================
+
+/**
+ * Save a Blob under the given file name
+ */
+function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * File name based on the calculated total
+ */
+function resultCardFileName(calcResult, extension) {
+  return `ism-e-azam-${calcResult.totalValue}.${extension}`;
+}
+
+/**
+ * Download the result card as a PNG image
+ */
+async function downloadResultCardPNG(calcResult, matchResult) {
+  if (document.fonts) {
+    await document.fonts.ready;
+  }
+  const canvas = drawResultCard(calcResult, matchResult);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  downloadBlob(blob, resultCardFileName(calcResult, 'png'));
+}
+
+/**
+ * Download the result card as a printable PDF
+ */
+async function downloadResultCardPDF(calcResult, matchResult) {
+  if (document.fonts) {
+    await document.fonts.ready;
+  }
+  const canvas = drawResultCard(calcResult, matchResult);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+  const jpegBytes = new Uint8Array(await blob.arrayBuffer());
+  downloadBlob(buildImagePDF(jpegBytes, canvas.width, canvas.height), resultCardFileName(calcResult, 'pdf'));
+}
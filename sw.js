@@ -0,0 +1,156 @@
+/**
+ * ISM-E-AZAM CALCULATOR - Service Worker
+ * Precaches the pages, scripts, styles and name data so the calculator
+ * works without a connection. Bump CACHE_VERSION when the app files change
+ * and DATA_VERSION when anything under data/ changes.
+ */
+
+const CACHE_VERSION = 'v12';
+const DATA_VERSION = '2026.10.3';
+
+const SHELL_CACHE = `ism-e-azam-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `ism-e-azam-data-${DATA_VERSION}`;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'info.html',
+  'info-ur.html',
+  'browse.html',
+  'style.css',
+  'calculator.js',
+  'i18n.js',
+  'data-loader.js',
+  'result-card.js',
+  'app.js',
+  'match-worker.js',
+  'browse.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'profile.png'
+];
+
+const DATA_FILES = [
+  'data/asmaul_husna.json',
+  'data/abjad_values.json',
+  'data/asmaul_husna_index.json'
+];
+
+// Response header recording when a data file was stored
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+/**
+ * Copy a response, stamping the time it was cached
+ */
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Fetch a data file and store it with its cache time
+ */
+async function cacheDataFile(cache, request) {
+  const response = await fetch(request, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  await cache.put(request, await stampResponse(response.clone()));
+  return response;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    const data = await caches.open(DATA_CACHE);
+    await Promise.all(DATA_FILES.map(file => cacheDataFile(data, file)));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Drop caches left by earlier versions
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('ism-e-azam-') && !keep.includes(key)) {
+        await caches.delete(key);
+      }
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Analytics and other third-party requests go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname.includes('/data/')) {
+    // Name data: serve the cached copy at once and refresh it in the background
+    event.respondWith((async () => {
+      const cache = await caches.open(DATA_CACHE);
+      const cached = await cache.match(request, { ignoreSearch: true });
+      const refresh = cacheDataFile(cache, request);
+      if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+      }
+      return refresh;
+    })());
+    return;
+  }
+
+  // App files: cache first; pages opened with a query (permalinks) share one entry
+  event.respondWith((async () => {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) {
+      return cached;
+    }
+    try {
+      return await fetch(request);
+    } catch (error) {
+      if (request.mode === 'navigate') {
+        return caches.match('index.html');
+      }
+      throw error;
+    }
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'GET_CACHE_INFO') {
+    return;
+  }
+
+  event.waitUntil((async () => {
+    const cache = await caches.open(DATA_CACHE);
+    const response = await cache.match('data/asmaul_husna.json');
+    let names = 0;
+    if (response) {
+      try {
+        names = (await response.clone().json()).names.length;
+      } catch (error) {
+        names = 0;
+      }
+    }
+
+    event.ports[0].postMessage({
+      cacheVersion: CACHE_VERSION,
+      dataVersion: DATA_VERSION,
+      cached: Boolean(response),
+      cachedAt: response ? response.headers.get(CACHED_AT_HEADER) : null,
+      names
+    });
+  })());
+});